@@ -11,20 +11,29 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const roleRoutes = require('./src/routes/roleRoutes');
+const organizationRoutes = require('./src/routes/organizationRoutes');
+const invitationRoutes = require('./src/routes/invitationRoutes');
+const oauthRoutes = require('./src/routes/oauthRoutes');
+const wellKnownRoutes = require('./src/routes/wellKnownRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const requestId = require('./src/middleware/requestId');
 
 const app = express();
 
 // Security Middleware
 app.use(helmet());
 app.use(cors());
+app.use(requestId);
 
-// Rate limiting
-const limiter = rateLimit({
+// Rate limiting, counted separately for the API and the OAuth endpoints
+const limiter = () => rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
-app.use('/api/', limiter);
+app.use('/api/', limiter());
+app.use('/oauth/', limiter());
 
 // Body parser middleware
 app.use(express.json());
@@ -59,6 +68,12 @@ app.get('/', (req, res) => {
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/oauth', oauthRoutes);
+app.use('/.well-known', wellKnownRoutes);
+app.use('/api/admin', adminRoutes);
 const swaggerOptions = {
   definition: {
     openapi: '3.0.0',
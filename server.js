@@ -1,12 +1,45 @@
 
 // src/server.js
 const { app, connectDB } = require('./app');
+const keyStore = require('./src/utils/keyStore');
+const { migrate } = require('./src/migrations');
+const { getSigningKey, createCheckpoint } = require('./src/utils/auditChain');
+const { purgeScheduledDeletions } = require('./src/utils/accountDeletion');
 
 const PORT = process.env.PORT || 5000;
 
+// How often to pick up keys rotated by other instances and rotate when due
+const KEY_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// How often to sign the end of the audit chain
+const AUDIT_CHECKPOINT_INTERVAL = (parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// How often to purge accounts whose deletion grace period is over
+const ACCOUNT_PURGE_INTERVAL = 60 * 60 * 1000;
+
 const startServer = async () => {
+  // Fail before serving anything if the audit signing key is missing or invalid
+  getSigningKey();
+
   // Connect to the database (the one in your docker-compose)
   await connectDB();
+
+  // Bring the schema and seed data up to date
+  await migrate();
+
+  // Load the signing key set, rotating the active key when it is due
+  await keyStore.initialize();
+  setInterval(() => {
+    keyStore.initialize().catch(err => console.error(err.message));
+  }, KEY_CHECK_INTERVAL).unref();
+
+  setInterval(() => {
+    createCheckpoint().catch(err => console.error(`Audit checkpoint failed: ${err.message}`));
+  }, AUDIT_CHECKPOINT_INTERVAL).unref();
+
+  setInterval(() => {
+    purgeScheduledDeletions().catch(err => console.error(`Account purge failed: ${err.message}`));
+  }, ACCOUNT_PURGE_INTERVAL).unref();
   
   // Start listening
   app.listen(PORT, () => {
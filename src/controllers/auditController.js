@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const { badRequest, paginate, buildLinkHeader } = require('../utils/paginate');
+const { verifyAuditChain } = require('../utils/auditChain');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`'${name}' must be a valid date`);
+  }
+  return date;
+};
+
+// Build the Mongo filter for audit events from the query string. `action`
+// takes a comma-separated list; "auth.*" matches every action under "auth".
+const buildAuditFilter = ({ action, outcome, actor, targetType, targetId, ip, requestId, from, to }) => {
+  const filter = {};
+
+  if (action) {
+    const actions = String(action).split(',').map(name => name.trim()).filter(Boolean);
+    filter.action = {
+      $in: actions.map(name => (name.endsWith('.*')
+        ? new RegExp(`^${escapeRegex(name.slice(0, -2))}\\.`)
+        : name))
+    };
+  }
+
+  if (outcome !== undefined) {
+    if (!['success', 'failure'].includes(outcome)) {
+      throw badRequest("'outcome' must be success or failure");
+    }
+    filter.outcome = outcome;
+  }
+
+  if (actor !== undefined) {
+    if (!mongoose.isValidObjectId(actor)) {
+      throw badRequest("'actor' must be a user id");
+    }
+    filter.actor = actor;
+  }
+
+  if (targetType) filter['target.type'] = String(targetType);
+  if (targetId) filter['target.id'] = String(targetId);
+  if (ip) filter.ip = String(ip);
+  if (requestId) filter.requestId = String(requestId);
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = parseDate(from, 'from');
+    if (to) filter.createdAt.$lte = parseDate(to, 'to');
+  }
+
+  return filter;
+};
+
+// @desc    List audit events
+// @route   GET /api/admin/audit-events
+// @access  Private (audit:read)
+exports.getAuditEvents = async (req, res) => {
+  try {
+    const result = await paginate(AuditEvent, {
+      query: req.query,
+      filter: buildAuditFilter(req.query),
+      sortable: ['createdAt'],
+      defaultSort: '-createdAt'
+    });
+
+    const link = buildLinkHeader(req, result);
+    if (link) {
+      res.set('Link', link);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: result.docs.length,
+      total: result.total,
+      ...(result.page !== undefined
+        ? { page: result.page, pages: result.pages }
+        : { nextCursor: result.nextCursor }),
+      data: result.docs
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Export audit events as newline-delimited JSON, oldest first
+// @route   GET /api/admin/audit-events/export
+// @access  Private (audit:read)
+exports.exportAuditEvents = async (req, res) => {
+  let filter;
+  try {
+    filter = buildAuditFilter(req.query);
+  } catch (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Stream with a cursor so large exports do not sit in memory
+  const cursor = AuditEvent.find(filter).sort({ createdAt: 1, _id: 1 }).cursor();
+
+  res.status(200);
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Content-Disposition', 'attachment; filename="audit-events.ndjson"');
+
+  try {
+    for await (const event of cursor) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+    res.end();
+  } catch (error) {
+    // Headers are gone; cut the stream short so the client sees it failed
+    console.error(`Audit export failed: ${error.message}`);
+    res.destroy(error);
+  }
+};
+
+// @desc    Check the audit hash chain and signed checkpoints
+// @route   GET /api/admin/audit-events/verify
+// @access  Private (audit:read)
+exports.verifyAuditEvents = async (req, res) => {
+  try {
+    const report = await verifyAuditChain();
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
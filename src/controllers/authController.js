@@ -1,5 +1,54 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../utils/generateToken');
+const Session = require('../models/Session');
+const RevokedToken = require('../models/RevokedToken');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const startSession = require('../utils/startSession');
+const { issueMfaChallenge, requiresSecondFactor } = require('../utils/mfaChallenge');
+const { rotateRefreshToken, revokeTokenFamily } = require('../utils/rotateRefreshToken');
+const sendVerificationEmail = require('../utils/sendVerificationEmail');
+const sendPasswordResetEmail = require('../utils/sendPasswordResetEmail');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { recordAuditEvent, userTarget } = require('../utils/audit');
+const { recordLoginAttempt } = require('../utils/loginHistory');
+const { scheduleAccountDeletion, cancelAccountDeletion, mayLogIn } = require('../utils/accountDeletion');
+const {
+  LOCKOUT_FIELDS,
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const {
+  verifyRefreshToken,
+  verifyActionToken
+} = require('../utils/generateToken');
+
+// Minimum time between two verification emails for the same user
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000;
+
+// Record a login attempt in the audit log and the user's login history.
+// Failed attempts have no actor; the email tried is kept when it matches
+// no account.
+const trackLogin = async (req, { user, outcome = 'success', reason, details }) => {
+  await recordAuditEvent(req, {
+    action: 'auth.login',
+    outcome,
+    actor: outcome === 'success' ? user._id : null,
+    target: user ? userTarget(user) : undefined,
+    details: {
+      method: 'password',
+      ...(reason && { reason }),
+      ...(!user && { email: String(req.body.email) }),
+      ...details
+    }
+  });
+  // The login history gets the attempt once it is decided: a password that
+  // still needs a second factor is recorded by the second step
+  if (!(details && details.mfaRequired)) {
+    await recordLoginAttempt(req, { user, outcome, reason });
+  }
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -8,9 +57,16 @@ exports.register = async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    // Check if user already exists. Deleted accounts keep their email
+    // until they are purged.
+    const existingUser = await User.findOne({ email }).setOptions({ withDeleted: true });
     if (existingUser) {
+      await recordAuditEvent(req, {
+        action: 'auth.register',
+        outcome: 'failure',
+        target: userTarget(existingUser),
+        details: { reason: 'email_taken' }
+      });
       return res.status(400).json({
         success: false,
         message: 'User with this email already exists'
@@ -24,9 +80,20 @@ exports.register = async (req, res) => {
       password
     });
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    await recordAuditEvent(req, { action: 'auth.register', actor: user._id, target: userTarget(user) });
+    // The device that registered is the account's first known device
+    await recordLoginAttempt(req, { user, method: 'registration' });
+
+    // Registration succeeds even if the verification email cannot be sent;
+    // the user can ask for it again
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error(`Failed to send verification email: ${error.message}`);
+    }
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -60,10 +127,19 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Check for user (include password for comparison)
-    const user = await User.findOne({ email }).select('+password');
+    // Check for user (include password and lockout state for comparison)
+    const user = await User.findOne({ email }).select(`+password ${LOCKOUT_FIELDS}`);
+
+    // Refuse locked accounts and attempts that come too fast
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      await trackLogin(req, { user, outcome: 'failure', reason: blocked.reason });
+      return rejectBlockedLogin(res, blocked);
+    }
 
     if (!user) {
+      await recordLoginFailure({ ip: req.ip });
+      await trackLogin(req, { user, outcome: 'failure', reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -74,26 +150,64 @@ exports.login = async (req, res) => {
     const isPasswordMatch = await user.comparePassword(password);
 
     if (!isPasswordMatch) {
+      await recordLoginFailure({ ip: req.ip, user });
+      await trackLogin(req, { user, outcome: 'failure', reason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Set when the user reported a login as not theirs; the password is
+    // considered known to someone else until it is reset
+    if (user.passwordResetRequired) {
+      await trackLogin(req, { user, outcome: 'failure', reason: 'password_reset_required' });
+      return res.status(403).json({
+        success: false,
+        message: 'Please reset your password. A reset link was sent to your email.'
+      });
+    }
+
     // Check if user is active
-    if (!user.isActive) {
+    if (!mayLogIn(user)) {
+      await trackLogin(req, { user, outcome: 'failure', reason: 'inactive' });
       return res.status(401).json({
         success: false,
         message: 'Account is inactive. Please contact support.'
       });
     }
 
-    // Generate tokens
-    const token = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Accounts with two-factor authentication finish at /api/auth/mfa/verify
+    // or /api/auth/passkeys/mfa
+    if (await requiresSecondFactor(user)) {
+      const mfaToken = issueMfaChallenge(user._id, 'password');
+      await trackLogin(req, { user, details: { mfaRequired: true } });
 
-    // Remove password from response
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken
+        }
+      });
+    }
+
+    // Only a completed login clears the failure count and keeps an account
+    // the user asked to delete; with two-factor authentication that happens
+    // at the second step
+    await recordLoginSuccess({ ip: req.ip, user });
+    await cancelAccountDeletion(req, user);
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await startSession(user, req);
+    await trackLogin(req, { user });
+
+    // Remove password and lockout state from response
     user.password = undefined;
+    user.failedLoginAttempts = undefined;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
 
     res.status(200).json({
       success: true,
@@ -112,6 +226,280 @@ exports.login = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Verify email address with the emailed token
+// @route   GET /api/auth/verify-email?token=...
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const token = req.body.token || req.query.token;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification token'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyActionToken(token, 'verify-email');
+    } catch (error) {
+      decoded = null;
+    }
+
+    // Only the latest token is accepted, and only once
+    const user = decoded && await User.findOneAndUpdate(
+      { _id: decoded.id, emailVerificationTokenId: decoded.jti },
+      { emailVerified: true, $unset: { emailVerificationTokenId: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const elapsed = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+
+    if (elapsed < VERIFICATION_RESEND_INTERVAL) {
+      res.set('Retry-After', Math.ceil((VERIFICATION_RESEND_INTERVAL - elapsed) / 1000));
+      return res.status(429).json({
+        success: false,
+        message: 'Verification email was sent recently. Please try again later.'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer whether or not the account exists
+    res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reset token and a new password'
+      });
+    }
+
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
+    const hashedToken = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const user = await User.findOne({
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // The pre('save') hook hashes the new password
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Whoever knew the old password is logged out everywhere, and loses
+    // any personal access token they created
+    await Session.revokeAllForUser(user._id);
+    await PersonalAccessToken.revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change password of the current user
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current password and a new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(currentPassword);
+    if (!isPasswordMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordErrors = validatePassword(newPassword);
+    if (await user.comparePassword(newPassword)) {
+      passwordErrors.push('New password must be different from the current password');
+    }
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
+    // The pre('save') hook hashes the password and sets passwordChangedAt
+    user.password = newPassword;
+    await user.save();
+
+    // Every existing token is now stale; end the old sessions, revoke
+    // personal access tokens and hand the caller a fresh session
+    await Session.revokeAllForUser(user._id);
+    await PersonalAccessToken.revokeAllForUser(user._id);
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -131,14 +519,88 @@ exports.getMe = async (req, res) => {
   }
 };
 
+// @desc    Delete the current user's account after a grace period
+// @route   DELETE /api/auth/me
+// @access  Private
+exports.deleteMe = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(password);
+    if (!isPasswordMatch) {
+      await recordAuditEvent(req, {
+        action: 'user.deletion.schedule',
+        outcome: 'failure',
+        target: userTarget(user),
+        details: { reason: 'invalid_password' }
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // The account is deactivated and logged out until it is purged
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
+    await recordAuditEvent(req, {
+      action: 'user.deletion.schedule',
+      target: userTarget(user),
+      details: { deletionScheduledFor }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account will be deleted. Log in before then to cancel.',
+      data: {
+        deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res) => {
   try {
-    // In a stateless JWT system, logout is handled client-side by removing the token
-    // You could implement a token blacklist here if needed
-    
+    const { refreshToken } = req.body;
+
+    // Revoke the access token used for this request and end its session
+    await RevokedToken.revoke(req.token);
+    await req.session.revoke();
+    await recordAuditEvent(req, {
+      action: 'auth.logout',
+      target: { type: 'session', id: req.session._id }
+    });
+
+    // Revoke the refresh token too, so it cannot mint new access tokens
+    if (refreshToken) {
+      let decoded;
+      try {
+        decoded = await verifyRefreshToken(refreshToken);
+      } catch (error) {
+        decoded = null;
+      }
+
+      if (decoded && decoded.id === req.user.id) {
+        await revokeTokenFamily(decoded.family);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
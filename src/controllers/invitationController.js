@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const startSession = require('../utils/startSession');
+const appUrl = require('../utils/appUrl');
+const { sendMail } = require('../utils/mail');
+const templates = require('../utils/mail/templates');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+// Minimum time between two emails for the same invitation
+const INVITATION_RESEND_INTERVAL = 60 * 1000;
+
+const invitationExpireDays = () => parseInt(process.env.INVITATION_EXPIRE_DAYS, 10) || 7;
+
+// Give the invitation a fresh token and email the link to the invitee
+const sendInvitation = async (invitation, { organization, inviter }) => {
+  const expiresInDays = invitationExpireDays();
+  const token = invitation.createToken(expiresInDays);
+  await invitation.save();
+
+  const baseUrl = process.env.INVITATION_URL || appUrl('/accept-invitation');
+  await sendMail({
+    to: invitation.email,
+    ...templates.invitation({
+      inviter: inviter.name,
+      organization: organization.name,
+      url: `${baseUrl}?token=${token}`,
+      expiresInDays
+    })
+  });
+};
+
+// Find a pending invitation of the active organization
+const findPendingInvitation = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+
+  return Invitation.findOne({
+    _id: req.params.id,
+    organization: req.organization._id,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const invalidInvitation = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Invalid or expired invitation'
+  });
+};
+
+// @desc    Invite someone to the active organization
+// @route   POST /api/invitations
+// @access  Private (members:manage)
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role = 'member' } = req.body;
+
+    if (role === 'owner' && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can change ownership'
+      });
+    }
+
+    const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : email;
+    const existingUser = await User.findOne({ email: normalizedEmail });
+
+    if (existingUser && await Membership.exists({ user: existingUser._id, organization: req.organization._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'User is already a member of this organization'
+      });
+    }
+
+    // Expired invitations linger until MongoDB's TTL monitor removes them
+    await Invitation.deleteMany({
+      organization: req.organization._id,
+      email: normalizedEmail,
+      expiresAt: { $lte: new Date() }
+    });
+
+    if (await Invitation.exists({ organization: req.organization._id, email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invitation for this email is already pending'
+      });
+    }
+
+    const invitation = new Invitation({
+      organization: req.organization._id,
+      email: normalizedEmail,
+      role,
+      invitedBy: req.user._id
+    });
+
+    try {
+      await sendInvitation(invitation, { organization: req.organization, inviter: req.user });
+    } catch (error) {
+      // Nobody can use an invitation whose email never went out
+      if (!invitation.isNew) {
+        await invitation.deleteOne();
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List pending invitations of the active organization
+// @route   GET /api/invitations
+// @access  Private (members:manage)
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({
+      organization: req.organization._id,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Send a pending invitation again with a new link
+// @route   POST /api/invitations/:id/resend
+// @access  Private (members:manage)
+exports.resendInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    const elapsed = Date.now() - invitation.sentAt.getTime();
+    if (elapsed < INVITATION_RESEND_INTERVAL) {
+      res.set('Retry-After', Math.ceil((INVITATION_RESEND_INTERVAL - elapsed) / 1000));
+      return res.status(429).json({
+        success: false,
+        message: 'Invitation was sent recently. Please try again later.'
+      });
+    }
+
+    // The previous link stops working
+    await sendInvitation(invitation, { organization: req.organization, inviter: req.user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation sent',
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (members:manage)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await invitation.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/invitations/accept?token=...
+// @access  Public
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = req.query.token && await Invitation.findByToken(req.query.token);
+
+    if (!invitation || !invitation.organization) {
+      return invalidInvitation(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        organization: invitation.organization,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+        // Existing accounts log in and join instead of registering
+        accountExists: Boolean(await User.exists({ email: invitation.email }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation by creating an account
+// @route   POST /api/invitations/accept
+// @access  Public
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an invitation token and a password'
+      });
+    }
+
+    const invitation = await Invitation.findByToken(token);
+
+    if (!invitation || !invitation.organization) {
+      return invalidInvitation(res);
+    }
+
+    if (await User.exists({ email: invitation.email }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists. Log in to join the organization.'
+      });
+    }
+
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length) {
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors.join('. ')
+      });
+    }
+
+    // The invite link was delivered to this address, so it is verified
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      emailVerified: true
+    });
+
+    await Membership.create({
+      user: user._id,
+      organization: invitation.organization._id,
+      role: invitation.role
+    });
+    await invitation.deleteOne();
+
+    const { token: accessToken, refreshToken } = await startSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        user,
+        organization: invitation.organization,
+        role: invitation.role,
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation with the logged-in account
+// @route   POST /api/invitations/join
+// @access  Private
+exports.joinWithInvitation = async (req, res) => {
+  try {
+    const invitation = req.body.token && await Invitation.findByToken(req.body.token);
+
+    if (!invitation || !invitation.organization) {
+      return invalidInvitation(res);
+    }
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Existing members keep the role they already have
+    const membership = await Membership.findOneAndUpdate(
+      { user: req.user._id, organization: invitation.organization._id },
+      { $setOnInsert: { role: invitation.role } },
+      { upsert: true, new: true }
+    );
+    await invitation.deleteOne();
+
+    if (!req.user.emailVerified) {
+      req.user.emailVerified = true;
+      await req.user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        organization: invitation.organization,
+        role: membership.role
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LoginEvent = require('../models/LoginEvent');
+const RevokedToken = require('../models/RevokedToken');
+const sendPasswordResetEmail = require('../utils/sendPasswordResetEmail');
+const { verifyActionToken } = require('../utils/generateToken');
+const { paginate, buildLinkHeader } = require('../utils/paginate');
+const { deviceFingerprint } = require('../utils/loginHistory');
+const { recordAuditEvent, userTarget } = require('../utils/audit');
+
+// @desc    List login attempts on the current user's account
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+
+    if (req.query.outcome !== undefined) {
+      if (!['success', 'failure'].includes(req.query.outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: "'outcome' must be success or failure"
+        });
+      }
+      filter.outcome = req.query.outcome;
+    }
+
+    const result = await paginate(LoginEvent, {
+      query: req.query,
+      filter,
+      select: '-user',
+      sortable: ['createdAt'],
+      defaultSort: '-createdAt'
+    });
+
+    const link = buildLinkHeader(req, result);
+    if (link) {
+      res.set('Link', link);
+    }
+
+    // Mark logins from the device making this request
+    const deviceId = deviceFingerprint(req);
+
+    res.status(200).json({
+      success: true,
+      count: result.docs.length,
+      total: result.total,
+      ...(result.page !== undefined
+        ? { page: result.page, pages: result.pages }
+        : { nextCursor: result.nextCursor }),
+      data: result.docs.map(event => ({ ...event.toJSON(), thisDevice: event.deviceId === deviceId }))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Page behind the link in the new device email. It only asks for
+//          confirmation, since mail scanners open links too.
+// @route   GET /api/auth/not-me?token=...
+// @access  Public
+exports.confirmReportLogin = (req, res) => {
+  const { token } = req.query;
+
+  // Tokens are JWTs, so anything else cannot be valid and is never echoed
+  if (typeof token !== 'string' || !/^[\w.-]+$/.test(token)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired link'
+    });
+  }
+
+  res.status(200).type('html').send(
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Secure your account</title></head><body>' +
+    '<h1>Was this login not you?</h1>' +
+    '<p>Confirm to log out every session and access token. You will then need to choose a new password.</p>' +
+    `<form method="post" action="not-me"><input type="hidden" name="token" value="${token}">` +
+    '<button type="submit">Log out everywhere</button></form>' +
+    '</body></html>'
+  );
+};
+
+// @desc    Report a login as not made by the user: log out every session and
+//          require a password reset
+// @route   POST /api/auth/not-me
+// @access  Public
+exports.reportLogin = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the token from the email'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyActionToken(token, 'not-me');
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded && !(await RevokedToken.isRevoked(decoded.jti)) &&
+      await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+
+    // The link works once
+    await RevokedToken.revoke(decoded);
+
+    await LoginEvent.updateOne(
+      { _id: decoded.login, user: user._id },
+      { reportedAt: new Date() }
+    );
+
+    const sessionsRevoked = await Session.revokeAllForUser(user._id);
+    const tokensRevoked = await PersonalAccessToken.revokeAllForUser(user._id);
+
+    // Saves passwordResetRequired together with the new reset token
+    user.passwordResetRequired = true;
+    await sendPasswordResetEmail(user);
+
+    await recordAuditEvent(req, {
+      action: 'auth.login.reported',
+      actor: user._id,
+      target: userTarget(user),
+      details: { loginEvent: decoded.login, sessionsRevoked, tokensRevoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'All sessions have been logged out. Check your email to choose a new password.'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
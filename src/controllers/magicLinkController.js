@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const startSession = require('../utils/startSession');
+const { issueMfaChallenge, requiresSecondFactor } = require('../utils/mfaChallenge');
+const appUrl = require('../utils/appUrl');
+const { sendMail } = require('../utils/mail');
+const templates = require('../utils/mail/templates');
+const { generateActionToken, verifyActionToken } = require('../utils/generateToken');
+const {
+  LOCKOUT_FIELDS,
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const { cancelAccountDeletion, mayLogIn } = require('../utils/accountDeletion');
+const { recordLoginAttempt } = require('../utils/loginHistory');
+
+const MAGIC_LINK_EXPIRE_MINUTES = 15;
+
+// Minimum time between two links for the same user
+const MAGIC_LINK_RESEND_INTERVAL = 60 * 1000;
+
+// Passwordless login is off unless the deployment turns it on
+const isEnabled = () => process.env.MAGIC_LINK_ENABLED === 'true';
+
+const hashDeviceToken = (deviceToken) => crypto.createHash('sha256').update(String(deviceToken)).digest('hex');
+
+const disabled = (res) => res.status(404).json({
+  success: false,
+  message: 'Magic link login is not enabled'
+});
+
+// @desc    Email a single-use login link
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res) => {
+  try {
+    if (!isEnabled()) {
+      return disabled(res);
+    }
+
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() })
+      .select(`+magicLinkSentAt ${LOCKOUT_FIELDS}`);
+
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      return rejectBlockedLogin(res, blocked);
+    }
+
+    // The link only works together with this token, which stays in the
+    // browser that asked for it. Everyone gets one, so the response does not
+    // reveal whether the account exists.
+    const deviceToken = crypto.randomBytes(32).toString('base64url');
+
+    const recentlySent = user && user.magicLinkSentAt &&
+      Date.now() - user.magicLinkSentAt.getTime() < MAGIC_LINK_RESEND_INTERVAL;
+
+    // Accounts waiting to be deleted may log in to cancel the deletion
+    if (user && mayLogIn(user) && !recentlySent) {
+      // Issuing a new link invalidates any link sent before
+      const jti = crypto.randomUUID();
+      const token = generateActionToken(user._id, 'magic-link', {
+        jti,
+        expiresIn: `${MAGIC_LINK_EXPIRE_MINUTES}m`,
+        claims: { dev: hashDeviceToken(deviceToken) }
+      });
+
+      await User.updateOne(
+        { _id: user._id },
+        { magicLinkTokenId: jti, magicLinkSentAt: new Date() }
+      );
+
+      const baseUrl = process.env.MAGIC_LINK_URL || appUrl('/magic-link');
+      await sendMail({
+        to: user.email,
+        ...templates.magicLink({
+          name: user.name,
+          url: `${baseUrl}?token=${encodeURIComponent(token)}`,
+          expiresInMinutes: MAGIC_LINK_EXPIRE_MINUTES
+        })
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account with that email exists, a login link has been sent',
+      data: { deviceToken }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Log in with an emailed link
+// @route   POST /api/auth/magic-link/verify
+// @access  Public
+exports.verifyMagicLink = async (req, res) => {
+  try {
+    if (!isEnabled()) {
+      return disabled(res);
+    }
+
+    const { token, deviceToken } = req.body;
+
+    if (!token || !deviceToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the login token and the device token'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyActionToken(token, 'magic-link');
+    } catch (error) {
+      decoded = null;
+    }
+
+    const user = decoded && await User.findById(decoded.id).select(LOCKOUT_FIELDS);
+
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: blocked.reason, method: 'magic_link' });
+      return rejectBlockedLogin(res, blocked);
+    }
+
+    // Only the latest link works, only once and only on the device that
+    // asked for it. Opening it also proves the user owns the address.
+    const claimed = user && decoded.dev === hashDeviceToken(deviceToken) && await User.findOneAndUpdate(
+      { _id: user._id, magicLinkTokenId: decoded.jti },
+      { emailVerified: true, $unset: { magicLinkTokenId: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await recordLoginFailure({ ip: req.ip, user });
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'invalid_link', method: 'magic_link' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired login link. Open the latest link in the browser where you asked for it.'
+      });
+    }
+
+    if (!mayLogIn(user)) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'inactive', method: 'magic_link' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive. Please contact support.'
+      });
+    }
+
+    // Accounts with two-factor authentication finish at /api/auth/mfa/verify
+    // or /api/auth/passkeys/mfa
+    if (await requiresSecondFactor(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: issueMfaChallenge(user._id, 'magic_link')
+        }
+      });
+    }
+
+    await recordLoginSuccess({ ip: req.ip, user });
+    await cancelAccountDeletion(req, user);
+    const { token: accessToken, refreshToken } = await startSession(user, req);
+    await recordLoginAttempt(req, { user, method: 'magic_link' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: claimed,
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,285 @@
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const startSession = require('../utils/startSession');
+const totp = require('../utils/totp');
+const { generateBackupCodes, hashBackupCode } = require('../utils/backupCodes');
+const { verifyActionToken } = require('../utils/generateToken');
+const {
+  LOCKOUT_FIELDS,
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const { cancelAccountDeletion, mayLogIn } = require('../utils/accountDeletion');
+const { recordLoginAttempt } = require('../utils/loginHistory');
+
+const MFA_FIELDS = '+totpSecret +totpLastUsedStep +backupCodes';
+
+// Check a TOTP or backup code and consume it so it cannot be used twice.
+// Returns the method that matched, or null.
+const consumeSecondFactor = async (user, code) => {
+  const step = user.totpSecret ? totp.verifyCode(user.totpSecret, code) : null;
+
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ totpLastUsedStep: null }, { totpLastUsedStep: { $lt: step } }]
+      },
+      { totpLastUsedStep: step }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const hash = hashBackupCode(code);
+  const result = await User.updateOne(
+    { _id: user._id, backupCodes: hash },
+    { $pull: { backupCodes: hash } }
+  );
+  return result.modifiedCount === 1 ? 'backup_code' : null;
+};
+
+// @desc    Start TOTP enrollment
+// @route   POST /api/auth/mfa/totp/setup
+// @access  Private
+exports.setupTotp = async (req, res) => {
+  try {
+    if (req.user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { totpSecret: secret });
+
+    const otpauthUri = totp.buildOtpauthUri({
+      secret,
+      account: req.user.email,
+      issuer: process.env.MFA_ISSUER || 'REST API Auth'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Confirm TOTP enrollment with a first code
+// @route   POST /api/auth/mfa/totp/confirm
+// @access  Private
+exports.confirmTotp = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.totpSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.totpSecret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { mfaEnabled: true, totpLastUsedStep: step, backupCodes: hashes }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they will not be shown again.',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace the backup codes
+// @route   POST /api/auth/mfa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(MFA_FIELDS);
+
+    if (!user.mfaEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!req.body.code || !(await consumeSecondFactor(user, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { backupCodes: hashes });
+
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: {
+        backupCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   DELETE /api/auth/mfa
+// @access  Private
+exports.disableMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        mfaEnabled: false,
+        $unset: { totpSecret: 1, totpLastUsedStep: 1, backupCodes: 1 }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Complete a login with a second factor
+// @route   POST /api/auth/mfa/verify
+// @access  Public
+exports.verifyMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the MFA token and an authentication code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyActionToken(mfaToken, 'mfa');
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token. Please log in again.'
+      });
+    }
+
+    // A challenge allows exactly one attempt, so codes cannot be brute-forced
+    await RevokedToken.revoke(decoded);
+
+    const user = await User.findById(decoded.id).select(`${MFA_FIELDS} ${LOCKOUT_FIELDS}`);
+
+    // Recorded with the method of the first step
+    const { method } = decoded;
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: blocked.reason, method });
+      return rejectBlockedLogin(res, blocked);
+    }
+
+    if (!user || !mayLogIn(user) || !user.mfaEnabled || !(await consumeSecondFactor(user, code))) {
+      await recordLoginFailure({ ip: req.ip, user });
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'invalid_mfa_code', method });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code. Please log in again.'
+      });
+    }
+
+    await recordLoginSuccess({ ip: req.ip, user });
+    await cancelAccountDeletion(req, user);
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await startSession(user, req);
+    await recordLoginAttempt(req, { user, method });
+
+    // Remove lockout state from response
+    user.failedLoginAttempts = undefined;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,184 @@
+const OAuthClient = require('../models/OAuthClient');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const Session = require('../models/Session');
+
+const findOwnClient = (req, select = '') => {
+  return OAuthClient.findOne({ clientId: req.params.clientId, owner: req.user._id }).select(select);
+};
+
+const clientNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Client not found'
+  });
+};
+
+// @desc    Register an OAuth client
+// @route   POST /oauth/clients
+// @access  Private
+exports.registerClient = async (req, res) => {
+  try {
+    const { name, type, redirectUris, scopes, grantTypes } = req.body;
+
+    const { client, clientSecret } = await OAuthClient.register(req.user._id, {
+      name,
+      type,
+      redirectUris,
+      scopes,
+      grantTypes
+    });
+
+    // The secret is only ever shown in this response
+    res.status(201).json({
+      success: true,
+      message: 'Client registered successfully',
+      data: {
+        ...client.toJSON(),
+        ...(clientSecret && { clientSecret })
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the current user's OAuth clients
+// @route   GET /oauth/clients
+// @access  Private
+exports.getClients = async (req, res) => {
+  try {
+    const clients = await OAuthClient.find({ owner: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: clients.length,
+      data: clients
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get one of the current user's OAuth clients
+// @route   GET /oauth/clients/:clientId
+// @access  Private
+exports.getClient = async (req, res) => {
+  try {
+    const client = await findOwnClient(req);
+
+    if (!client) {
+      return clientNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: client
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update an OAuth client
+// @route   PUT /oauth/clients/:clientId
+// @access  Private
+exports.updateClient = async (req, res) => {
+  try {
+    const client = await findOwnClient(req);
+
+    if (!client) {
+      return clientNotFound(res);
+    }
+
+    // The client type is fixed, since it decides whether a secret exists
+    for (const field of ['name', 'redirectUris', 'scopes', 'grantTypes']) {
+      if (req.body[field] !== undefined) {
+        client[field] = req.body[field];
+      }
+    }
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Client updated successfully',
+      data: client
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace a confidential client's secret
+// @route   POST /oauth/clients/:clientId/secret
+// @access  Private
+exports.rotateClientSecret = async (req, res) => {
+  try {
+    const client = await findOwnClient(req, '+clientSecretHash');
+
+    if (!client) {
+      return clientNotFound(res);
+    }
+
+    if (client.type !== 'confidential') {
+      return res.status(400).json({
+        success: false,
+        message: 'Public clients do not have a secret'
+      });
+    }
+
+    const clientSecret = client.createSecret();
+    await client.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Client secret replaced. Copy it now, it will not be shown again.',
+      data: { clientId: client.clientId, clientSecret }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete an OAuth client and revoke everything issued to it
+// @route   DELETE /oauth/clients/:clientId
+// @access  Private
+exports.deleteClient = async (req, res) => {
+  try {
+    const client = await findOwnClient(req);
+
+    if (!client) {
+      return clientNotFound(res);
+    }
+
+    const sessions = await Session.find({ client: client.clientId, revokedAt: null });
+    await Promise.all(sessions.map(session => session.revoke()));
+    await AuthorizationCode.deleteMany({ client: client.clientId });
+    await client.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Client deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
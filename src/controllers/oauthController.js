@@ -0,0 +1,515 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const OAuthClient = require('../models/OAuthClient');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const startSession = require('../utils/startSession');
+const { rotateRefreshToken, revokeTokenFamily } = require('../utils/rotateRefreshToken');
+const {
+  generateClientToken,
+  generateIdToken,
+  verifyAccessToken,
+  verifyRefreshToken
+} = require('../utils/generateToken');
+const {
+  OIDC_SCOPES,
+  oauthAudience,
+  oidcIssuer,
+  identityClaims,
+  parseScope,
+  verifyPkce,
+  oauthError
+} = require('../utils/oauth');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Check an authorization request (RFC 6749 section 4.1.1) and resolve the
+// client, redirect URI and scope it asks for
+const validateAuthorizationRequest = async (params) => {
+  const client = params.client_id
+    ? await OAuthClient.findOne({ clientId: String(params.client_id) })
+    : null;
+
+  if (!client) {
+    throw badRequest('Unknown client');
+  }
+
+  // The redirect URI must be registered; it may be omitted if only one is
+  const redirectUri = params.redirect_uri
+    ? String(params.redirect_uri)
+    : client.redirectUris.length === 1 && client.redirectUris[0];
+
+  if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+    throw badRequest('Invalid redirect_uri');
+  }
+
+  if (params.response_type !== 'code') {
+    throw badRequest("response_type must be 'code'");
+  }
+
+  if (!client.grantTypes.includes('authorization_code')) {
+    throw badRequest('Client is not allowed to use the authorization code grant');
+  }
+
+  // OpenID Connect scopes only reveal the user's own profile, so any client may ask
+  const scope = parseScope(params.scope);
+  const unknown = scope.filter(item => !client.scopes.includes(item) && !OIDC_SCOPES.includes(item));
+  if (unknown.length) {
+    throw badRequest(`Invalid scope: ${unknown.join(', ')}`);
+  }
+
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+    throw badRequest("PKCE is required: send code_challenge with code_challenge_method 'S256'");
+  }
+
+  return {
+    client,
+    redirectUri,
+    redirectUriSent: Boolean(params.redirect_uri),
+    scope,
+    state: params.state,
+    nonce: params.nonce ? String(params.nonce) : null,
+    codeChallenge: String(params.code_challenge)
+  };
+};
+
+// Add query parameters to the client's redirect URI
+const buildRedirect = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) {
+      url.searchParams.set(key, value);
+    }
+  }
+  return url.toString();
+};
+
+// Identify the client from HTTP Basic credentials or the request body.
+// Confidential clients must prove their secret.
+const authenticateClient = async (req) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    // Credentials are form-encoded (RFC 6749 section 2.3.1)
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, separator));
+      clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+    } catch (error) {
+      throw oauthError(401, 'invalid_client', 'Client authentication failed');
+    }
+  }
+
+  const client = clientId
+    ? await OAuthClient.findOne({ clientId: String(clientId) }).select('+clientSecretHash')
+    : null;
+
+  if (!client || (client.type === 'confidential' && !client.verifySecret(clientSecret))) {
+    throw oauthError(401, 'invalid_client', 'Client authentication failed');
+  }
+
+  return client;
+};
+
+const tokenResponse = (token, { refreshToken, idToken, scope }) => {
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    access_token: token,
+    token_type: 'Bearer',
+    expires_in: exp - iat,
+    ...(refreshToken && { refresh_token: refreshToken }),
+    ...(idToken && { id_token: idToken }),
+    scope: scope.join(' ')
+  };
+};
+
+// Exchange an authorization code, checking it against the PKCE verifier
+const exchangeAuthorizationCode = async (req, client) => {
+  const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const codeHash = AuthorizationCode.hash(code);
+
+  // Check the client and redirect_uri before claiming the code, so a wrong
+  // request cannot use it up. redirect_uri is only required if the
+  // authorization request sent it (RFC 6749 section 4.1.3).
+  const issued = code && await AuthorizationCode.findOne({ codeHash });
+  const redirectMatches = issued && (redirectUri === undefined
+    ? !issued.redirectUriSent
+    : redirectUri === issued.redirectUri);
+
+  if (issued && (issued.client !== client.clientId || !redirectMatches)) {
+    throw oauthError(400, 'invalid_grant', 'Authorization code was issued to another client or redirect_uri');
+  }
+
+  // Claim the code in one step so it can only be exchanged once
+  const stored = issued && await AuthorizationCode.findOneAndUpdate(
+    { _id: issued._id, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    // A replayed code may have leaked: revoke what it was exchanged for
+    const used = code && await AuthorizationCode.findOne({ codeHash, usedAt: { $ne: null } });
+    if (used && used.session) {
+      const session = await Session.findById(used.session);
+      if (session) {
+        await session.revoke();
+      }
+    }
+    throw oauthError(400, 'invalid_grant', 'Invalid or expired authorization code');
+  }
+
+  if (!verifyPkce(codeVerifier, stored.codeChallenge)) {
+    throw oauthError(400, 'invalid_grant', 'Invalid code_verifier');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    throw oauthError(400, 'invalid_grant', 'User account is inactive');
+  }
+
+  const { session, token, refreshToken } = await startSession(user, req, {
+    client: client.clientId,
+    scope: stored.scope
+  });
+
+  stored.session = session._id;
+  await stored.save();
+
+  const idToken = stored.scope.includes('openid')
+    ? generateIdToken(identityClaims(user, stored.scope), {
+      audience: client.clientId,
+      issuer: oidcIssuer(),
+      nonce: stored.nonce,
+      authTime: stored.authTime
+    })
+    : undefined;
+
+  return tokenResponse(token, {
+    refreshToken: client.grantTypes.includes('refresh_token') ? refreshToken : undefined,
+    idToken,
+    scope: stored.scope
+  });
+};
+
+const refreshAccessToken = async (req, client) => {
+  if (!req.body.refresh_token) {
+    throw oauthError(400, 'invalid_request', 'refresh_token is required');
+  }
+
+  let rotated;
+  try {
+    rotated = await rotateRefreshToken(req.body.refresh_token, { client: client.clientId });
+  } catch (error) {
+    if (error.status === 401) {
+      throw oauthError(400, 'invalid_grant', error.message);
+    }
+    throw error;
+  }
+
+  return tokenResponse(rotated.token, {
+    refreshToken: rotated.refreshToken,
+    scope: rotated.session.scope
+  });
+};
+
+const issueClientCredentials = async (req, client) => {
+  const scope = req.body.scope ? parseScope(req.body.scope) : client.scopes;
+  const unknown = scope.filter(item => !client.scopes.includes(item));
+
+  if (unknown.length) {
+    throw oauthError(400, 'invalid_scope', `Invalid scope: ${unknown.join(', ')}`);
+  }
+
+  const token = generateClientToken(client.clientId, { scope, audience: oauthAudience() });
+  return tokenResponse(token, { scope });
+};
+
+// Decode an access token that is still accepted by protect, or return null
+const findActiveAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (!decoded.jti || await RevokedToken.isRevoked(decoded.jti)) {
+    return null;
+  }
+
+  // client_credentials tokens belong to no session or user
+  if (!decoded.sid) {
+    return decoded.client_id ? decoded : null;
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    return null;
+  }
+
+  return decoded;
+};
+
+// Decode a refresh token that can still be rotated, with its session, or return null
+const findActiveRefreshToken = async (token) => {
+  let decoded;
+  try {
+    decoded = await verifyRefreshToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const stored = await RefreshToken.findOne({ jti: decoded.jti, usedAt: null, revokedAt: null });
+  const session = stored && mongoose.isValidObjectId(stored.family)
+    ? await Session.findById(stored.family)
+    : null;
+
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  return { decoded, stored, session };
+};
+
+const grants = {
+  authorization_code: exchangeAuthorizationCode,
+  refresh_token: refreshAccessToken,
+  client_credentials: issueClientCredentials
+};
+
+// @desc    Describe an authorization request so the user can consent
+// @route   GET /oauth/authorize
+// @access  Private
+exports.getAuthorization = async (req, res) => {
+  try {
+    const { client, redirectUri, scope, state } = await validateAuthorizationRequest(req.query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        client: { clientId: client.clientId, name: client.name },
+        redirectUri,
+        scope,
+        state
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve or deny an authorization request
+// @route   POST /oauth/authorize
+// @access  Private
+exports.authorize = async (req, res) => {
+  try {
+    const request = await validateAuthorizationRequest(req.body);
+
+    if (req.body.approve !== true) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          redirectTo: buildRedirect(request.redirectUri, { error: 'access_denied', state: request.state })
+        }
+      });
+    }
+
+    const code = await AuthorizationCode.issue({
+      client: request.client.clientId,
+      user: req.user._id,
+      redirectUri: request.redirectUri,
+      redirectUriSent: request.redirectUriSent,
+      scope: request.scope,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      authTime: req.session.createdAt
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redirectTo: buildRedirect(request.redirectUri, { code, state: request.state })
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Issue tokens to an OAuth client
+// @route   POST /oauth/token
+// @access  Public (client authentication)
+exports.token = async (req, res) => {
+  // Token responses must never be cached (RFC 6749 section 5.1)
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const client = await authenticateClient(req);
+    const grant = grants[req.body.grant_type];
+
+    if (!grant) {
+      throw oauthError(400, 'unsupported_grant_type', 'Unsupported grant_type');
+    }
+
+    if (!client.grantTypes.includes(req.body.grant_type)) {
+      throw oauthError(400, 'unauthorized_client', 'Client is not allowed to use this grant type');
+    }
+
+    res.status(200).json(await grant(req, client));
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    res.status(error.status || 500).json({
+      error: error.error || 'server_error',
+      error_description: error.message
+    });
+  }
+};
+
+// @desc    Tell a resource server whether a token is active (RFC 7662)
+// @route   POST /oauth/introspect
+// @access  Public (confidential client authentication)
+exports.introspect = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const client = await authenticateClient(req);
+
+    // Public clients cannot prove who they are, so they may not inspect tokens
+    if (client.type !== 'confidential') {
+      throw oauthError(401, 'invalid_client', 'Only confidential clients can introspect tokens');
+    }
+
+    if (!req.body.token) {
+      throw oauthError(400, 'invalid_request', 'token is required');
+    }
+
+    const token = String(req.body.token);
+    const access = await findActiveAccessToken(token);
+
+    if (access) {
+      return res.status(200).json({
+        active: true,
+        token_type: 'Bearer',
+        sub: access.id || access.sub,
+        client_id: access.client_id,
+        scope: access.scope,
+        aud: access.aud,
+        iat: access.iat,
+        exp: access.exp,
+        jti: access.jti
+      });
+    }
+
+    const refresh = await findActiveRefreshToken(token);
+
+    if (refresh) {
+      const { decoded, session } = refresh;
+      return res.status(200).json({
+        active: true,
+        token_type: 'refresh_token',
+        sub: decoded.id,
+        client_id: session.client || undefined,
+        scope: session.client ? session.scope.join(' ') : undefined,
+        iat: decoded.iat,
+        exp: decoded.exp,
+        jti: decoded.jti
+      });
+    }
+
+    // Say nothing more about invalid, expired or revoked tokens
+    res.status(200).json({ active: false });
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    res.status(error.status || 500).json({
+      error: error.error || 'server_error',
+      error_description: error.message
+    });
+  }
+};
+
+// @desc    Revoke an access or refresh token issued to the client (RFC 7009)
+// @route   POST /oauth/revoke
+// @access  Public (client authentication)
+exports.revoke = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const client = await authenticateClient(req);
+
+    if (!req.body.token) {
+      throw oauthError(400, 'invalid_request', 'token is required');
+    }
+
+    const token = String(req.body.token);
+    const access = await findActiveAccessToken(token);
+    const refresh = access ? null : await findActiveRefreshToken(token);
+
+    const owner = access ? access.client_id : refresh && refresh.session.client;
+    if ((access || refresh) && owner !== client.clientId) {
+      throw oauthError(400, 'unauthorized_client', 'Token was not issued to this client');
+    }
+
+    // A revoked refresh token ends its grant, access tokens included
+    if (access) {
+      await RevokedToken.revoke(access);
+    } else if (refresh) {
+      await revokeTokenFamily(refresh.stored.family);
+    }
+
+    // Unknown and already revoked tokens also succeed (RFC 7009 section 2.2)
+    res.status(200).send();
+  } catch (error) {
+    if (error.status === 401) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    res.status(error.status || 500).json({
+      error: error.error || 'server_error',
+      error_description: error.message
+    });
+  }
+};
+
+// @desc    Claims about the user who authorized the access token
+// @route   GET /oauth/userinfo
+// @access  Private (scope: openid)
+exports.userinfo = async (req, res) => {
+  try {
+    if (!req.scopes || !req.scopes.includes('openid')) {
+      res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="openid"');
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        error_description: "The access token was not granted the 'openid' scope"
+      });
+    }
+
+    res.status(200).json(identityClaims(req.user, req.scopes));
+  } catch (error) {
+    res.status(500).json({
+      error: 'server_error',
+      error_description: error.message
+    });
+  }
+};
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
+
+// Drop the organization from sessions that act in it, so refreshed tokens
+// no longer carry it
+const leaveSessions = (organizationId, userId) => {
+  const filter = { organization: organizationId };
+  if (userId) {
+    filter.user = userId;
+  }
+  return Session.updateMany(filter, { organization: null });
+};
+
+// An organization must always keep at least one owner
+const isLastOwner = async (membership) => {
+  if (membership.role !== 'owner') {
+    return false;
+  }
+
+  const owners = await Membership.countDocuments({
+    organization: membership.organization,
+    role: 'owner'
+  });
+  return owners <= 1;
+};
+
+// @desc    Create an organization owned by the current user
+// @route   POST /api/organizations
+// @access  Private
+exports.createOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.create({
+      name: req.body.name,
+      createdBy: req.user._id
+    });
+
+    await Membership.create({
+      user: req.user._id,
+      organization: organization._id,
+      role: 'owner'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: { ...organization.toJSON(), role: 'owner' }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the organizations the current user belongs to
+// @route   GET /api/organizations
+// @access  Private
+exports.getOrganizations = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ user: req.user._id })
+      .populate('organization')
+      .sort('createdAt');
+
+    const organizations = memberships
+      .filter(membership => membership.organization)
+      .map(membership => ({ ...membership.organization.toJSON(), role: membership.role }));
+
+    res.status(200).json({
+      success: true,
+      count: organizations.length,
+      data: organizations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get an organization
+// @route   GET /api/organizations/:id
+// @access  Private (member)
+exports.getOrganization = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { ...req.organization.toJSON(), role: req.membership.role }
+  });
+};
+
+// @desc    Rename an organization
+// @route   PUT /api/organizations/:id
+// @access  Private (orgs:update)
+exports.updateOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findByIdAndUpdate(
+      req.organization._id,
+      { name: req.body.name },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: organization
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete an organization and all of its memberships
+// @route   DELETE /api/organizations/:id
+// @access  Private (orgs:delete)
+exports.deleteOrganization = async (req, res) => {
+  try {
+    await Membership.deleteMany({ organization: req.organization._id });
+    await leaveSessions(req.organization._id);
+    await req.organization.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Organization deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the members of an organization
+// @route   GET /api/organizations/:id/members
+// @access  Private (member)
+exports.getMembers = async (req, res) => {
+  try {
+    const memberships = await Membership.find({ organization: req.organization._id })
+      .populate('user', 'name email')
+      .sort('createdAt');
+
+    // Deleted users do not populate and are left out
+    const members = memberships.filter(membership => membership.user);
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: members.map(membership => ({
+        user: membership.user,
+        role: membership.role,
+        joinedAt: membership.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change a member's role in the organization
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (members:manage)
+exports.updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!Membership.ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${Membership.ROLES.join(', ')}`
+      });
+    }
+
+    const membership = mongoose.isValidObjectId(req.params.userId)
+      ? await Membership.findOne({ organization: req.organization._id, user: req.params.userId })
+      : null;
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Only owners can hand out or take away ownership
+    if ((role === 'owner' || membership.role === 'owner') && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can change ownership'
+      });
+    }
+
+    if (role !== 'owner' && await isLastOwner(membership)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    membership.role = role;
+    await membership.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Member updated successfully',
+      data: { user: membership.user, role: membership.role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a member, or leave the organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (members:manage, or the member themselves)
+exports.removeMember = async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !(await hasPermission(req, 'members:manage'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: members:manage'
+      });
+    }
+
+    const membership = mongoose.isValidObjectId(req.params.userId)
+      ? await Membership.findOne({ organization: req.organization._id, user: req.params.userId })
+      : null;
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (!leaving && membership.role === 'owner' && req.membership.role !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only owners can change ownership'
+      });
+    }
+
+    if (await isLastOwner(membership)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An organization must keep at least one owner'
+      });
+    }
+
+    await membership.deleteOne();
+    await leaveSessions(req.organization._id, membership.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,458 @@
+const User = require('../models/User');
+const Credential = require('../models/Credential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const RevokedToken = require('../models/RevokedToken');
+const startSession = require('../utils/startSession');
+const { verifyActionToken } = require('../utils/generateToken');
+const {
+  ALGORITHMS,
+  relyingParty,
+  readChallenge,
+  verifyRegistration,
+  verifyAuthentication
+} = require('../utils/webauthn');
+const {
+  LOCKOUT_FIELDS,
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/loginThrottle');
+const { cancelAccountDeletion, mayLogIn } = require('../utils/accountDeletion');
+const { recordLoginAttempt } = require('../utils/loginHistory');
+
+// Milliseconds the browser gives the user to answer
+const CEREMONY_TIMEOUT = 5 * 60 * 1000;
+
+// WebAuthn user handle: opaque bytes that identify the user
+const userHandle = (user) => Buffer.from(user._id.toString()).toString('base64url');
+
+// Credential descriptor for allowCredentials and excludeCredentials
+const toDescriptor = (credential) => ({
+  type: 'public-key',
+  id: credential.credentialId,
+  ...(credential.transports.length && { transports: credential.transports })
+});
+
+// Find the challenge a credential response answers, for the given purpose
+// and user, so it cannot be answered again
+const consumeChallenge = async (credential, purpose, user = null) => {
+  const challenge = credential && credential.response && readChallenge(credential.response.clientDataJSON);
+  const issued = challenge && await WebAuthnChallenge.consume(challenge, purpose);
+
+  if (!issued || String(issued.user) !== String(user)) {
+    return null;
+  }
+  return issued.challenge;
+};
+
+// Check an assertion against the stored credential and record its use
+const verifyAssertion = async (credential, stored, challenge, { requireUserVerification }) => {
+  const signCount = verifyAuthentication(credential.response, {
+    challenge,
+    credential: stored,
+    requireUserVerification
+  });
+
+  stored.signCount = signCount;
+  stored.lastUsedAt = new Date();
+  await stored.save();
+};
+
+// Check the MFA token from /api/auth/login and load its user
+const findMfaUser = async (mfaToken) => {
+  let decoded;
+  try {
+    decoded = await verifyActionToken(mfaToken, 'mfa');
+  } catch (error) {
+    return null;
+  }
+
+  if (await RevokedToken.isRevoked(decoded.jti)) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id).select(LOCKOUT_FIELDS);
+  return user && mayLogIn(user) ? { user, decoded } : null;
+};
+
+// @desc    Get options for registering a passkey
+// @route   POST /api/auth/passkeys/registration/options
+// @access  Private
+exports.getRegistrationOptions = async (req, res) => {
+  try {
+    const challenge = await WebAuthnChallenge.issue({ purpose: 'registration', user: req.user._id });
+    const credentials = await Credential.find({ user: req.user._id });
+    const rp = relyingParty();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        challenge,
+        rp: { id: rp.id, name: rp.name },
+        user: {
+          id: userHandle(req.user),
+          name: req.user.email,
+          displayName: req.user.name
+        },
+        pubKeyCredParams: Object.keys(ALGORITHMS).map(alg => ({ type: 'public-key', alg: Number(alg) })),
+        timeout: CEREMONY_TIMEOUT,
+        attestation: process.env.WEBAUTHN_ATTESTATION || 'none',
+        excludeCredentials: credentials.map(toDescriptor),
+        // Discoverable credentials allow logging in without typing an email
+        authenticatorSelection: {
+          residentKey: 'required',
+          requireResidentKey: true,
+          userVerification: 'preferred'
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Register a passkey
+// @route   POST /api/auth/passkeys
+// @access  Private
+exports.registerPasskey = async (req, res) => {
+  try {
+    const { credential, name } = req.body;
+
+    const challenge = await consumeChallenge(credential, 'registration', req.user._id);
+    if (!challenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please start again.'
+      });
+    }
+
+    const verified = verifyRegistration(credential.response, { challenge });
+
+    if (await Credential.exists({ credentialId: verified.credentialId })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This passkey is already registered'
+      });
+    }
+
+    const transports = Array.isArray(credential.response.transports)
+      ? credential.response.transports.map(String)
+      : [];
+
+    const passkey = await Credential.create({
+      user: req.user._id,
+      name,
+      transports,
+      ...verified
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Passkey registered successfully',
+      data: passkey
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join('. ')
+      });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the current user's passkeys
+// @route   GET /api/auth/passkeys
+// @access  Private
+exports.getPasskeys = async (req, res) => {
+  try {
+    const passkeys = await Credential.find({ user: req.user._id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: passkeys.length,
+      data: passkeys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a passkey
+// @route   DELETE /api/auth/passkeys/:id
+// @access  Private
+exports.deletePasskey = async (req, res) => {
+  try {
+    const passkey = await Credential.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!passkey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Passkey removed successfully'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Passkey not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get options for logging in with a passkey
+// @route   POST /api/auth/passkeys/login/options
+// @access  Public
+exports.getLoginOptions = async (req, res) => {
+  try {
+    const challenge = await WebAuthnChallenge.issue({ purpose: 'login' });
+
+    // No allowCredentials: the authenticator offers its discoverable
+    // credentials, so the response does not reveal which accounts exist
+    res.status(200).json({
+      success: true,
+      data: {
+        challenge,
+        rpId: relyingParty().id,
+        timeout: CEREMONY_TIMEOUT,
+        userVerification: 'required'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Log in with a passkey
+// @route   POST /api/auth/passkeys/login
+// @access  Public
+exports.loginWithPasskey = async (req, res) => {
+  try {
+    const { credential } = req.body;
+
+    const challenge = await consumeChallenge(credential, 'login');
+    if (!challenge) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please start again.'
+      });
+    }
+
+    const stored = await Credential.findOne({ credentialId: String(credential.id) }).select('+publicKey');
+    const user = stored && await User.findById(stored.user).select(LOCKOUT_FIELDS);
+
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: blocked.reason, method: 'passkey' });
+      return rejectBlockedLogin(res, blocked);
+    }
+
+    const handle = credential.response.userHandle;
+    if (!user || (handle && handle !== userHandle(user))) {
+      await recordLoginFailure({ ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Passkey is not registered'
+      });
+    }
+
+    // The passkey stands in for both factors, so it must verify the user
+    try {
+      await verifyAssertion(credential, stored, challenge, { requireUserVerification: true });
+    } catch (error) {
+      if (!error.status) throw error;
+      await recordLoginFailure({ ip: req.ip, user });
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'invalid_passkey', method: 'passkey' });
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!mayLogIn(user)) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'inactive', method: 'passkey' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive. Please contact support.'
+      });
+    }
+
+    await recordLoginSuccess({ ip: req.ip, user });
+    await cancelAccountDeletion(req, user);
+
+    const { token, refreshToken } = await startSession(user, req);
+    await recordLoginAttempt(req, { user, method: 'passkey' });
+
+    // Remove lockout state from response
+    user.failedLoginAttempts = undefined;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get options for completing a login with a passkey as second factor
+// @route   POST /api/auth/passkeys/mfa/options
+// @access  Public
+exports.getMfaOptions = async (req, res) => {
+  try {
+    const found = req.body.mfaToken && await findMfaUser(req.body.mfaToken);
+
+    if (!found) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token. Please log in again.'
+      });
+    }
+
+    const credentials = await Credential.find({ user: found.user._id });
+    if (!credentials.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No passkeys are registered for this account'
+      });
+    }
+
+    const challenge = await WebAuthnChallenge.issue({ purpose: 'mfa', user: found.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        challenge,
+        rpId: relyingParty().id,
+        timeout: CEREMONY_TIMEOUT,
+        allowCredentials: credentials.map(toDescriptor),
+        userVerification: 'discouraged'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Complete a login with a passkey as second factor
+// @route   POST /api/auth/passkeys/mfa
+// @access  Public
+exports.verifyMfaWithPasskey = async (req, res) => {
+  try {
+    const { mfaToken, credential } = req.body;
+
+    const found = mfaToken && await findMfaUser(mfaToken);
+    if (!found) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired MFA token. Please log in again.'
+      });
+    }
+
+    // A challenge allows exactly one attempt, as with /api/auth/mfa/verify
+    await RevokedToken.revoke(found.decoded);
+
+    const { user } = found;
+    const { method } = found.decoded;
+
+    const blocked = await checkLoginAllowed({ ip: req.ip, user });
+    if (blocked) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: blocked.reason, method });
+      return rejectBlockedLogin(res, blocked);
+    }
+
+    const challenge = await consumeChallenge(credential, 'mfa', user._id);
+    const stored = challenge && await Credential.findOne({
+      credentialId: String(credential.id),
+      user: user._id
+    }).select('+publicKey');
+
+    if (!stored) {
+      await recordLoginFailure({ ip: req.ip, user });
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'invalid_passkey', method });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid passkey. Please log in again.'
+      });
+    }
+
+    try {
+      await verifyAssertion(credential, stored, challenge, { requireUserVerification: false });
+    } catch (error) {
+      if (!error.status) throw error;
+      await recordLoginFailure({ ip: req.ip, user });
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'invalid_passkey', method });
+      return res.status(401).json({
+        success: false,
+        message: `${error.message}. Please log in again.`
+      });
+    }
+
+    await recordLoginSuccess({ ip: req.ip, user });
+    await cancelAccountDeletion(req, user);
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await startSession(user, req);
+    await recordLoginAttempt(req, { user, method });
+
+    // Remove lockout state from response
+    user.failedLoginAttempts = undefined;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,197 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { recordAuditEvent } = require('../utils/audit');
+
+// @desc    List roles
+// @route   GET /api/roles
+// @access  Private (roles:read)
+exports.getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort('name');
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the permissions a role can be granted
+// @route   GET /api/roles/permissions
+// @access  Private (roles:read)
+exports.getPermissions = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Role.PERMISSIONS
+  });
+};
+
+// @desc    Get a role
+// @route   GET /api/roles/:name
+// @access  Private (roles:read)
+exports.getRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles:write)
+exports.createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (name && await Role.exists({ name: String(name).toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions });
+
+    await recordAuditEvent(req, {
+      action: 'role.create',
+      target: { type: 'role', id: role.name },
+      details: { permissions: [...role.permissions] }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a role's description or permissions
+// @route   PUT /api/roles/:name
+// @access  Private (roles:write)
+exports.updateRole = async (req, res) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const existing = await Role.findOne({ name: req.params.name });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    // Otherwise nobody might be left who can manage roles at all
+    if (existing.isSystem && existing.permissions.includes('*') &&
+        permissions !== undefined && ![].concat(permissions).includes('*')) {
+      return res.status(400).json({
+        success: false,
+        message: `The built-in '${existing.name}' role must keep the '*' permission`
+      });
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      { description, permissions },
+      { new: true, runValidators: true }
+    );
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'role.update',
+      target: { type: 'role', id: role.name },
+      details: { permissions: [...role.permissions] }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a role
+// @route   DELETE /api/roles/:name
+// @access  Private (roles:write)
+exports.deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    // Deleted users keep their role in case they are restored
+    if (await User.exists({ role: role.name }).setOptions({ withDeleted: true })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Role is still assigned to users'
+      });
+    }
+
+    await role.deleteOne();
+
+    await recordAuditEvent(req, { action: 'role.delete', target: { type: 'role', id: role.name } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
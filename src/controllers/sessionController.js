@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const Membership = require('../models/Membership');
+
+// @desc    List active sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.session.id
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke();
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke every session except the current one
+// @route   POST /api/auth/sessions/revoke-others
+// @access  Private
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const count = await Session.revokeAllForUser(req.user._id, { except: req.session._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      data: { count }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Switch the organization the current session acts in
+// @route   PUT /api/auth/organization
+// @access  Private
+exports.switchOrganization = async (req, res) => {
+  try {
+    const { organizationId = null } = req.body;
+
+    if (organizationId !== null) {
+      const isMember = mongoose.isValidObjectId(organizationId) &&
+        await Membership.exists({ user: req.user._id, organization: organizationId });
+
+      if (!isMember) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this organization'
+        });
+      }
+    }
+
+    req.session.organization = organizationId;
+    await req.session.save();
+
+    res.status(200).json({
+      success: true,
+      message: organizationId ? 'Organization switched' : 'Left organization context',
+      data: {
+        organizationId,
+        token: req.session.issueAccessToken()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LinkedIdentity = require('../models/LinkedIdentity');
+const SocialLoginRequest = require('../models/SocialLoginRequest');
+const startSession = require('../utils/startSession');
+const { issueMfaChallenge, requiresSecondFactor } = require('../utils/mfaChallenge');
+const { listProviders, getProvider } = require('../utils/socialProviders');
+const { cancelAccountDeletion, mayLogIn } = require('../utils/accountDeletion');
+const { recordLoginAttempt } = require('../utils/loginHistory');
+
+const notFound = () => Object.assign(new Error('Unknown sign-in provider'), { status: 404 });
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+// The state is also kept in a cookie, so the callback only finishes sign-ins
+// started in the same browser and nobody can log a victim into their account
+const STATE_COOKIE = 'social_login_state';
+
+const setStateCookie = (res, state) => {
+  res.cookie(STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax so the cookie comes along when the provider redirects back
+    sameSite: 'lax',
+    path: '/api/auth/oauth',
+    maxAge: SocialLoginRequest.LIFETIME
+  });
+};
+
+const readStateCookie = (req) => {
+  const cookies = (req.headers.cookie || '').split(';');
+  const match = cookies.map(cookie => cookie.trim()).find(cookie => cookie.startsWith(`${STATE_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(STATE_COOKIE.length + 1)) : null;
+};
+
+const stateMatchesCookie = (req, state) => {
+  const expected = readStateCookie(req);
+  if (!expected || !state) {
+    return false;
+  }
+
+  const a = Buffer.from(String(state));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Names from providers can be missing or outside what the User model allows
+const displayName = (profile) => {
+  const name = (profile.name || profile.email.split('@')[0]).trim().slice(0, 50);
+  return name.length >= 2 ? name : 'User';
+};
+
+// Find the user an external account logs in as, linking or creating one by
+// email the first time. Existing accounts are only linked when both sides
+// have verified the address, so nobody can claim an account by email alone.
+const findOrCreateUser = async (provider, profile) => {
+  const identity = await LinkedIdentity.findOne({ provider, subject: profile.subject });
+  if (identity) {
+    identity.lastUsedAt = new Date();
+    await identity.save();
+    return { user: await User.findById(identity.user), created: false };
+  }
+
+  if (!profile.email) {
+    throw Object.assign(new Error(`Your ${provider} account did not share an email address`), { status: 400 });
+  }
+
+  // Anyone can put an unverified address on a provider account
+  if (!profile.emailVerified) {
+    throw Object.assign(new Error(`Please verify your email address with ${provider} first`), { status: 400 });
+  }
+
+  const email = profile.email.toLowerCase();
+  let user = await User.findOne({ email }).setOptions({ withDeleted: true });
+  const created = !user;
+
+  // Deleted accounts keep their email until they are purged
+  if (user && user.deletedAt) {
+    throw conflict('An account with this email already exists.');
+  }
+
+  if (user && !user.emailVerified) {
+    throw conflict(`An account with this email already exists. Log in with your password and link ${provider} from your account.`);
+  }
+
+  if (!user) {
+    // The account has no usable password until the user resets it
+    user = await User.create({
+      name: displayName(profile),
+      email,
+      password: crypto.randomBytes(32).toString('base64url'),
+      emailVerified: true
+    });
+  }
+
+  await LinkedIdentity.create({
+    user: user._id,
+    provider,
+    subject: profile.subject,
+    email,
+    lastUsedAt: new Date()
+  });
+
+  return { user, created };
+};
+
+// Attach an external account to a logged-in user
+const linkIdentity = async (provider, profile, userId) => {
+  const existing = await LinkedIdentity.findOne({ provider, subject: profile.subject });
+  if (existing && !existing.user.equals(userId)) {
+    throw conflict(`This ${provider} account is already linked to another user`);
+  }
+  if (existing) {
+    return existing;
+  }
+
+  if (await LinkedIdentity.exists({ user: userId, provider })) {
+    throw conflict(`You have already linked a ${provider} account`);
+  }
+
+  return LinkedIdentity.create({
+    user: userId,
+    provider,
+    subject: profile.subject,
+    email: profile.email
+  });
+};
+
+// @desc    List the sign-in providers that are configured
+// @route   GET /api/auth/oauth
+// @access  Public
+exports.getProviders = (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: listProviders()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start logging in with an external provider
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+exports.startLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      throw notFound();
+    }
+
+    const { state, codeVerifier } = await SocialLoginRequest.issue({ provider: provider.name });
+    setStateCookie(res, state);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: await provider.getAuthorizationUrl({ state, codeVerifier })
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Finish logging in or linking when the provider sends the user back
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+exports.callback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      throw notFound();
+    }
+
+    const { code, state, error } = req.query;
+
+    const request = stateMatchesCookie(req, state) &&
+      await SocialLoginRequest.consume(String(state), provider.name);
+
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in request. Please start again.'
+      });
+    }
+    res.clearCookie(STATE_COOKIE, { path: '/api/auth/oauth' });
+
+    if (error || !code) {
+      return res.status(400).json({
+        success: false,
+        message: `Sign-in with ${provider.name} was cancelled or failed${error ? `: ${error}` : ''}`
+      });
+    }
+
+    const profile = await provider.fetchProfile({
+      code: String(code),
+      codeVerifier: request.codeVerifier
+    });
+
+    if (request.user) {
+      const identity = await linkIdentity(provider.name, profile, request.user);
+
+      return res.status(200).json({
+        success: true,
+        message: `${provider.name} account linked`,
+        data: identity
+      });
+    }
+
+    const { user, created } = await findOrCreateUser(provider.name, profile);
+
+    if (!user || !mayLogIn(user)) {
+      await recordLoginAttempt(req, { user, outcome: 'failure', reason: 'inactive', method: 'social' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive. Please contact support.'
+      });
+    }
+
+    // Accounts with two-factor authentication finish at /api/auth/mfa/verify
+    if (await requiresSecondFactor(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          mfaRequired: true,
+          mfaToken: issueMfaChallenge(user._id, 'social')
+        }
+      });
+    }
+
+    await cancelAccountDeletion(req, user);
+    const { token, refreshToken } = await startSession(user, req);
+    await recordLoginAttempt(req, { user, method: 'social' });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User registered successfully' : 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the external accounts linked to the current user
+// @route   GET /api/auth/identities
+// @access  Private
+exports.getIdentities = async (req, res) => {
+  try {
+    const identities = await LinkedIdentity.find({ user: req.user._id }).sort('provider');
+
+    res.status(200).json({
+      success: true,
+      count: identities.length,
+      data: identities
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Start linking an external account to the current user
+// @route   POST /api/auth/identities/:provider
+// @access  Private
+exports.startLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      throw notFound();
+    }
+
+    if (await LinkedIdentity.exists({ user: req.user._id, provider: provider.name })) {
+      throw conflict(`You have already linked a ${provider.name} account`);
+    }
+
+    const { state, codeVerifier } = await SocialLoginRequest.issue({
+      provider: provider.name,
+      user: req.user._id
+    });
+    setStateCookie(res, state);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: await provider.getAuthorizationUrl({ state, codeVerifier })
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unlink an external account from the current user
+// @route   DELETE /api/auth/identities/:provider
+// @access  Private
+exports.unlink = async (req, res) => {
+  try {
+    const identity = await LinkedIdentity.findOneAndDelete({
+      user: req.user._id,
+      provider: String(req.params.provider).toLowerCase()
+    });
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'No linked account for this provider'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${identity.provider} account unlinked`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+
+const DEFAULT_TOKEN_DAYS = 30;
+const MAX_TOKEN_DAYS = 365;
+
+// @desc    List the current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+exports.getTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user._id,
+      expiresAt: { $gt: new Date() }
+    }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+exports.createToken = async (req, res) => {
+  try {
+    const { name, scopes = [], expiresInDays = DEFAULT_TOKEN_DAYS } = req.body;
+    const days = Number(expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a whole number between 1 and ${MAX_TOKEN_DAYS}`
+      });
+    }
+
+    if (name && await PersonalAccessToken.exists({ user: req.user._id, name: String(name).trim() })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A token with this name already exists'
+      });
+    }
+
+    const { accessToken, token } = await PersonalAccessToken.issue(req.user._id, {
+      name,
+      scopes,
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    // The token is only ever shown in this response
+    res.status(201).json({
+      success: true,
+      message: 'Token created. Copy it now, it will not be shown again.',
+      data: {
+        ...accessToken.toJSON(),
+        token
+      }
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+exports.revokeToken = async (req, res) => {
+  try {
+    const accessToken = mongoose.isValidObjectId(req.params.id)
+      ? await PersonalAccessToken.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
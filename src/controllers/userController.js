@@ -1,19 +1,121 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const { LOCKOUT_FIELDS } = require('../utils/loginThrottle');
+const { badRequest, paginate, buildLinkHeader } = require('../utils/paginate');
+const { hasPermission } = require('../utils/permissions');
+const { recordAuditEvent, userTarget } = require('../utils/audit');
+const { removeUserData } = require('../utils/accountDeletion');
+const sendVerificationEmail = require('../utils/sendVerificationEmail');
+
+// Fields clients may sort on and request through `fields`
+const SORTABLE_FIELDS = ['name', 'email', 'role', 'createdAt', 'updatedAt', 'deletedAt'];
+const SELECTABLE_FIELDS = [
+  'name', 'email', 'role', 'isActive', 'emailVerified', 'mfaEnabled',
+  'createdAt', 'updatedAt', 'failedLoginAttempts', 'lockUntil', 'deletedAt', 'deletedBy'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`'${name}' must be a valid date`);
+  }
+  return date;
+};
+
+// Build the Mongo filter for the user list from the query string
+const buildUserFilter = ({ role, isActive, deleted, createdAfter, createdBefore, search }) => {
+  const filter = {};
+
+  if (role) {
+    filter.role = String(role);
+  }
+
+  if (isActive !== undefined) {
+    if (!['true', 'false'].includes(isActive)) {
+      throw badRequest("'isActive' must be true or false");
+    }
+    filter.isActive = isActive === 'true';
+  }
+
+  // Soft-deleted users are only listed on request, and then on their own
+  if (deleted !== undefined) {
+    if (!['true', 'false'].includes(deleted)) {
+      throw badRequest("'deleted' must be true or false");
+    }
+    if (deleted === 'true') {
+      filter.deletedAt = { $ne: null };
+    }
+  }
+
+  if (createdAfter || createdBefore) {
+    filter.createdAt = {};
+    if (createdAfter) filter.createdAt.$gte = parseDate(createdAfter, 'createdAfter');
+    if (createdBefore) filter.createdAt.$lte = parseDate(createdBefore, 'createdBefore');
+  }
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(String(search)), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  return filter;
+};
+
+// Projection for `fields=name,email`; _id is always returned
+const buildUserSelect = (fields) => {
+  if (!fields) {
+    return `-password ${LOCKOUT_FIELDS}`;
+  }
+
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const invalid = requested.filter(field => !SELECTABLE_FIELDS.includes(field));
+  if (invalid.length) {
+    throw badRequest(`Unknown fields: ${invalid.join(', ')}`);
+  }
+  return requested.join(' ');
+};
 
 // @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
+// @access  Private (users:read)
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const filter = buildUserFilter(req.query);
+
+    // Inside an organization only its members are listed
+    if (req.organization) {
+      filter._id = { $in: await Membership.find({ organization: req.organization._id }).distinct('user') };
+    }
+
+    const result = await paginate(User, {
+      query: req.query,
+      filter,
+      select: buildUserSelect(req.query.fields),
+      sortable: SORTABLE_FIELDS,
+      defaultSort: '-createdAt'
+    });
+
+    const link = buildLinkHeader(req, result);
+    if (link) {
+      res.set('Link', link);
+    }
 
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users
+      count: result.docs.length,
+      total: result.total,
+      ...(result.page !== undefined
+        ? { page: result.page, pages: result.pages }
+        : { nextCursor: result.nextCursor }),
+      data: result.docs
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -25,9 +127,21 @@ exports.getAllUsers = async (req, res) => {
 // @access  Private
 exports.getUser = async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    let user = null;
+    if (mongoose.isValidObjectId(req.params.id)) {
+      // Users who may read every account also see the lockout state
+      const query = User.findById(req.params.id);
+      if (await hasPermission(req, 'users:read')) {
+        query.select(LOCKOUT_FIELDS);
+      }
+      user = await query;
+    }
 
-    if (!user) {
+    // Inside an organization, users outside it do not exist
+    const outsideOrganization = user && req.organization &&
+      !(await Membership.exists({ user: user._id, organization: req.organization._id }));
+
+    if (!user || outsideOrganization) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -53,27 +167,54 @@ exports.updateUser = async (req, res) => {
   try {
     const { name, email } = req.body;
 
-    // Check if user is updating their own profile or is admin
-    if (req.user.id !== req.params.id && req.user.role !== 'admin') {
+    // Check if user is updating their own profile or may update anyone
+    if (req.user.id !== req.params.id && !(await hasPermission(req, 'users:update:any'))) {
+      await recordAuditEvent(req, {
+        action: 'user.update',
+        outcome: 'failure',
+        target: userTarget(req.params.id),
+        details: { reason: 'forbidden' }
+      });
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this user'
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { name, email },
-      { new: true, runValidators: true }
-    );
+    const previous = await User.findById(req.params.id).select('email');
 
-    if (!user) {
+    if (!previous) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
 
+    // A new address has to be verified again
+    const emailChanged = email !== undefined && String(email).toLowerCase().trim() !== previous.email;
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { name, email, ...(emailChanged && { emailVerified: false }) },
+      { new: true, runValidators: true }
+    );
+
+    // The update succeeds even if the verification email cannot be sent;
+    // the user can ask for it again
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error(`Failed to send verification email: ${error.message}`);
+      }
+    }
+
+    await recordAuditEvent(req, {
+      action: 'user.update',
+      target: userTarget(user),
+      details: { fields: Object.keys(req.body).filter(field => ['name', 'email'].includes(field)) }
+    });
+
     res.status(200).json({
       success: true,
       message: 'User updated successfully',
@@ -87,12 +228,19 @@ exports.updateUser = async (req, res) => {
   }
 };
 
-// @desc    Delete user
+// @desc    Delete user. The account is only marked as deleted and can be
+//          restored until it is purged.
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:delete)
 exports.deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findByIdAndUpdate(
+        req.params.id,
+        { deletedAt: new Date(), deletedBy: req.user._id },
+        { new: true }
+      )
+      : null;
 
     if (!user) {
       return res.status(404).json({
@@ -101,6 +249,12 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
+    // Queries no longer find the user, so its tokens stop working; end
+    // its sessions too
+    await Session.revokeAllForUser(user._id);
+
+    await recordAuditEvent(req, { action: 'user.delete', target: userTarget(user) });
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully',
@@ -112,4 +266,159 @@ exports.deleteUser = async (req, res) => {
       message: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Restore a deleted user
+// @route   POST /api/users/:id/restore
+// @access  Private (users:delete)
+exports.restoreUser = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOneAndUpdate(
+        { _id: req.params.id, deletedAt: { $ne: null } },
+        { deletedAt: null, deletedBy: null },
+        { new: true }
+      )
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    await recordAuditEvent(req, { action: 'user.restore', target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Permanently remove a deleted user and everything that belongs
+//          to it. The email can be registered again afterwards.
+// @route   DELETE /api/users/:id/purge
+// @access  Private (users:delete)
+exports.purgeUser = async (req, res) => {
+  try {
+    // Only users that were deleted first, so one click cannot destroy data
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findOneAndDelete({ _id: req.params.id, deletedAt: { $ne: null } })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted user not found'
+      });
+    }
+
+    await removeUserData(user._id);
+
+    await recordAuditEvent(req, { action: 'user.purge', target: userTarget(user) });
+
+    res.status(200).json({
+      success: true,
+      message: 'User purged successfully',
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unlock a user locked out by failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:unlock)
+exports.unlockUser = async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findByIdAndUpdate(
+        req.params.id,
+        { failedLoginAttempts: 0, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } },
+        { new: true }
+      ).select(LOCKOUT_FIELDS)
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:assign)
+exports.assignRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    // Nobody can raise or strip their own permissions
+    if (req.user.id === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    if (typeof role !== 'string' || !(await Role.exists({ name: role }))) {
+      return res.status(400).json({
+        success: false,
+        message: `Role '${role}' does not exist`
+      });
+    }
+
+    // Load the previous role for the audit log
+    const user = await User.findByIdAndUpdate(req.params.id, { role });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await recordAuditEvent(req, {
+      action: 'user.role.assign',
+      target: userTarget(user),
+      details: { from: user.role, to: role }
+    });
+    user.role = role;
+
+    res.status(200).json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
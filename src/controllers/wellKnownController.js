@@ -0,0 +1,64 @@
+const keyStore = require('../utils/keyStore');
+const appUrl = require('../utils/appUrl');
+const { SCOPES, OIDC_SCOPES, GRANT_TYPES, oidcIssuer } = require('../utils/oauth');
+
+// @desc    Public keys used to verify tokens issued by this API
+// @route   GET /.well-known/jwks.json
+// @access  Public
+exports.getJwks = (req, res) => {
+  try {
+    // Make sure there is a key to publish before any token has been signed
+    keyStore.getSigningKey();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(keyStore.getJwks());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    OpenID Connect discovery document
+// @route   GET /.well-known/openid-configuration
+// @access  Public
+exports.getOpenIdConfiguration = (req, res) => {
+  try {
+    // /oauth/authorize is an API for the consent screen, not a page users
+    // can be sent to, so discovery needs the frontend page
+    if (!process.env.OAUTH_AUTHORIZE_URL) {
+      return res.status(404).json({
+        success: false,
+        message: 'OpenID Connect discovery is not enabled'
+      });
+    }
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+      issuer: oidcIssuer(),
+      authorization_endpoint: process.env.OAUTH_AUTHORIZE_URL,
+      token_endpoint: appUrl('/oauth/token'),
+      userinfo_endpoint: appUrl('/oauth/userinfo'),
+      introspection_endpoint: appUrl('/oauth/introspect'),
+      revocation_endpoint: appUrl('/oauth/revoke'),
+      jwks_uri: appUrl('/.well-known/jwks.json'),
+      response_types_supported: ['code'],
+      grant_types_supported: GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [keyStore.getSigningKey().alg],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: [...OIDC_SCOPES, ...SCOPES],
+      claims_supported: [
+        'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce',
+        'name', 'updated_at', 'email', 'email_verified'
+      ]
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
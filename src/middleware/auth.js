@@ -1,5 +1,23 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Membership = require('../models/Membership');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { verifyAccessToken } = require('../utils/generateToken');
+const { hasPermission } = require('../utils/permissions');
+const { oauthAudience, parseScope } = require('../utils/oauth');
+
+// Find the user's membership in an organization, with the organization loaded
+const findMembership = async (userId, organizationId) => {
+  if (!mongoose.isValidObjectId(organizationId)) {
+    return null;
+  }
+
+  const membership = await Membership.findOne({ user: userId, organization: organizationId })
+    .populate('organization');
+  return membership && membership.organization ? membership : null;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -19,11 +37,53 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded;
+    let session;
+    let accessToken;
+
+    if (token.startsWith(PersonalAccessToken.PREFIX)) {
+      // Personal access tokens are opaque and looked up by their hash
+      accessToken = await PersonalAccessToken.findByToken(token);
+
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired personal access token'
+        });
+      }
+    } else {
+      // Verify token against the public key named by its kid header
+      decoded = await verifyAccessToken(token);
+
+      // Every access token carries a jti and belongs to a session
+      if (!decoded.jti || !decoded.sid) {
+        throw new Error('Token has no jti or session');
+      }
+
+      // Tokens issued to OAuth clients must be meant for this API
+      if (decoded.aud && decoded.aud !== oauthAudience()) {
+        throw new Error('Token is meant for another audience');
+      }
+
+      if (await RevokedToken.isRevoked(decoded.jti)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
+      session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+    }
 
     // Get user from token
-    req.user = await User.findById(decoded.id).select('-password');
+    req.user = await User.findById(accessToken ? accessToken.user : decoded.id).select('-password');
 
     if (!req.user) {
       return res.status(401).json({
@@ -39,6 +99,40 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (decoded && req.user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently. Please log in again.'
+      });
+    }
+
+    // Act inside an organization, chosen per request or by the token
+    const organizationId = req.headers['x-organization-id'] || (decoded && decoded.org);
+    if (organizationId) {
+      const membership = await findMembership(req.user._id, organizationId);
+
+      if (!membership) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this organization'
+        });
+      }
+
+      req.membership = membership;
+      req.organization = membership.organization;
+    }
+
+    await (session || accessToken).touch();
+
+    req.token = decoded;
+    req.session = session;
+    req.accessToken = accessToken;
+    // Personal access tokens and OAuth tokens are limited to their scopes
+    if (accessToken) {
+      req.scopes = accessToken.scopes;
+    } else if (decoded.scope !== undefined) {
+      req.scopes = parseScope(decoded.scope);
+    }
     next();
   } catch (error) {
     return res.status(401).json({
@@ -61,4 +155,102 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+// Grant access to users whose role holds every listed permission.
+// Inside an organization the membership's permissions count as well.
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const missing = [];
+      for (const permission of permissions) {
+        if (!(await hasPermission(req, permission))) {
+          missing.push(permission);
+        }
+      }
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Missing permission: ${missing.join(', ')}`
+        });
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
+
+// Act inside the organization named by a route parameter, which must be
+// one the user belongs to
+const scopeToOrganization = (param = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const membership = await findMembership(req.user._id, req.params[param]);
+
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+
+      req.membership = membership;
+      req.organization = membership.organization;
+      delete req.permissions;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  };
+};
+
+// Keep personal access tokens and OAuth clients away from routes that
+// manage the login itself (sessions, passwords, MFA, tokens and consent)
+const requireSession = (req, res, next) => {
+  if (!req.session || req.session.client) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route requires logging in with a password'
+    });
+  }
+  next();
+};
+
+// Require the request to act inside an organization
+const requireOrganization = (req, res, next) => {
+  if (!req.organization) {
+    return res.status(400).json({
+      success: false,
+      message: 'Select an organization with the X-Organization-Id header'
+    });
+  }
+  next();
+};
+
+// Block users who have not verified their email address yet
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to access this route'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize,
+  requirePermission,
+  scopeToOrganization,
+  requireOrganization,
+  requireSession,
+  requireVerifiedEmail
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Accept ids from a proxy or client only if they look like ids
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Give every request an id, echoed in X-Request-Id, that ties log lines and
+// audit events to the request
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
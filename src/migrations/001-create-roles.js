@@ -0,0 +1,21 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// Map the original hard-coded 'user' and 'admin' roles onto Role documents
+exports.up = async () => {
+  const defaults = [
+    { name: 'user', description: 'Regular account', permissions: [] },
+    { name: 'admin', description: 'Full access to every resource', permissions: ['*'] }
+  ];
+
+  for (const role of defaults) {
+    // Only insert, so permissions edited by an admin are never overwritten
+    await Role.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true } },
+      { upsert: true }
+    );
+  }
+
+  await User.updateMany({ role: { $in: [null, ''] } }, { role: 'user' });
+};
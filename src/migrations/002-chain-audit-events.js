@@ -0,0 +1,26 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Add audit events recorded before the hash chain existed to the start of
+// the chain, in the order they happened. Migrations run before the server
+// accepts requests, so no chained event exists yet.
+exports.up = async () => {
+  const legacy = AuditEvent.find({ sequence: { $exists: false } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  let sequence = 0;
+  let previousHash = AuditEvent.GENESIS_HASH;
+
+  for await (const event of legacy) {
+    sequence += 1;
+    const hash = AuditEvent.hashEvent({ ...event, sequence, previousHash });
+
+    // The model refuses updates; this is the one time events are changed
+    await AuditEvent.collection.updateOne(
+      { _id: event._id },
+      { $set: { sequence, previousHash, hash } }
+    );
+    previousHash = hash;
+  }
+};
@@ -0,0 +1,24 @@
+const Migration = require('../models/Migration');
+
+// Applied in this order; never rename or reorder an entry once released
+const migrations = [
+  { name: '001-create-roles', ...require('./001-create-roles') },
+  { name: '002-chain-audit-events', ...require('./002-chain-audit-events') }
+];
+
+// Apply every migration that has not run against this database yet
+const migrate = async () => {
+  for (const migration of migrations) {
+    if (await Migration.exists({ name: migration.name })) {
+      continue;
+    }
+
+    await migration.up();
+    await Migration.create({ name: migration.name });
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`Applied migration ${migration.name}`);
+    }
+  }
+};
+
+module.exports = { migrate };
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A signed statement of the audit chain's end at some point in time. Events
+// can be removed from the end of the chain without breaking any link; a
+// checkpoint past the end shows they were.
+const auditCheckpointSchema = new mongoose.Schema({
+  // Sequence and hash of the last event when the checkpoint was taken
+  sequence: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  // SHA-256 fingerprint of the public key that signed the checkpoint
+  keyId: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditCheckpointSchema.methods.toJSON = function() {
+  const checkpoint = this.toObject();
+  delete checkpoint.__v;
+  return checkpoint;
+};
+
+module.exports = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// previousHash of the first event in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// How often to retry when another request appended the same sequence number
+const APPEND_ATTEMPTS = 5;
+
+// Security-relevant events, written once and never changed. Events form a
+// hash chain: each one hashes its own content and the previous event's hash,
+// so editing or removing an event breaks every link after it.
+const auditEventSchema = new mongoose.Schema({
+  // Position in the chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  // Dotted name of what happened, e.g. "auth.login" or "user.delete"
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  // User who acted; null for anonymous requests such as failed logins
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // What the action was applied to
+  target: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    }
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Action-specific details, e.g. the reason a login failed
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Set explicitly rather than through timestamps, since it is hashed
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Partial, so the index can be built while events recorded before the chain
+// existed wait for migration 002 to number them
+auditEventSchema.index(
+  { sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1 });
+
+// JSON with sorted keys, so the same content always hashes the same way
+const canonicalJson = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof mongoose.Types.ObjectId) return JSON.stringify(value.toString());
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Hash of an event's content and its link to the previous event. Accepts
+// documents and plain objects read with lean().
+const hashEvent = (event) => {
+  const content = {
+    sequence: event.sequence,
+    createdAt: event.createdAt,
+    action: event.action,
+    outcome: event.outcome,
+    actor: event.actor,
+    target: event.target && { type: event.target.type, id: event.target.id },
+    ip: event.ip,
+    userAgent: event.userAgent,
+    requestId: event.requestId,
+    details: event.details,
+    previousHash: event.previousHash
+  };
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+};
+
+// Add an event to the end of the chain. The unique sequence makes
+// concurrent appends fail instead of forking the chain; they retry on top
+// of the new end.
+auditEventSchema.statics.append = async function(fields) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne().sort({ sequence: -1 }).select('sequence hash');
+
+    const event = new this({
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      previousHash: last ? last.hash : GENESIS_HASH,
+      createdAt: new Date()
+    });
+    event.hash = hashEvent(event);
+
+    try {
+      return await event.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Append-only: refuse every write that would change or remove events
+const refuseChange = function(next) {
+  next(new Error('Audit events cannot be changed or deleted'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  auditEventSchema.pre(operation, { document: false, query: true }, refuseChange);
+});
+
+auditEventSchema.methods.toJSON = function() {
+  const event = this.toObject();
+  delete event.__v;
+  return event;
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+AuditEvent.GENESIS_HASH = GENESIS_HASH;
+AuditEvent.hashEvent = hashEvent;
+
+module.exports = AuditEvent;
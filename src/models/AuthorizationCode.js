@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { hashSecret } = require('../utils/oauth');
+
+// Codes must be exchanged quickly (RFC 6749 recommends at most 10 minutes)
+const CODE_LIFETIME = 60 * 1000;
+
+const authorizationCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  // Whether the client named the redirect URI, and so has to repeat it
+  redirectUriSent: {
+    type: Boolean,
+    default: false
+  },
+  scope: {
+    type: [String],
+    default: []
+  },
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+  // OpenID Connect: echoed in the ID token, and when the user logged in
+  nonce: {
+    type: String,
+    default: null
+  },
+  authTime: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Session created by exchanging the code, revoked if the code is replayed
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + CODE_LIFETIME)
+  }
+});
+
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Store a new code and return it; only its hash is kept
+authorizationCodeSchema.statics.issue = async function(fields) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await this.create({ ...fields, codeHash: hashSecret(code) });
+  return code;
+};
+
+authorizationCodeSchema.statics.hash = hashSecret;
+
+module.exports = mongoose.model('AuthorizationCode', authorizationCodeSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A WebAuthn credential (passkey) registered by a user
+const credentialSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: 'Passkey',
+    maxlength: [100, 'Passkey name cannot exceed 100 characters']
+  },
+  // base64url credential ID chosen by the authenticator
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // base64url SPKI public key and its COSE algorithm
+  publicKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  algorithm: {
+    type: Number,
+    required: true
+  },
+  // Last signature counter seen, to detect cloned authenticators
+  signCount: {
+    type: Number,
+    default: 0
+  },
+  transports: {
+    type: [String],
+    default: []
+  },
+  aaguid: {
+    type: String
+  },
+  attestationFormat: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+credentialSchema.methods.toJSON = function() {
+  const credential = this.toObject();
+  delete credential.publicKey;
+  delete credential.__v;
+  return credential;
+};
+
+module.exports = mongoose.model('Credential', credentialSchema);
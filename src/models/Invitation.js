@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const validator = require('validator');
+const Membership = require('./Membership');
+
+// Only pending invitations are stored: accepting or revoking one deletes it,
+// and MongoDB removes it once it expires
+const invitationSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: Membership.ROLES,
+      message: "Unknown organization role '{VALUE}'"
+    },
+    default: 'member'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ organization: 1, email: 1 }, { unique: true });
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Generate a new invite token, replacing any previous one, and return it.
+// Only its hash is stored.
+invitationSchema.methods.createToken = function(expiresInDays) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.tokenHash = hashToken(token);
+  this.sentAt = new Date();
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Find the pending invitation a token belongs to
+invitationSchema.statics.findByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  }).populate('organization', 'name');
+};
+
+invitationSchema.methods.toJSON = function() {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  delete invitation.__v;
+  return invitation;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// An account at an external sign-in provider that can log in as a user
+const linkedIdentitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable id for the account ("sub" in OpenID Connect)
+  subject: {
+    type: String,
+    required: true
+  },
+  // Email the provider reported; informational, users may change it there
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+linkedIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+// One account per provider and user
+linkedIdentitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+linkedIdentitySchema.methods.toJSON = function() {
+  const identity = this.toObject();
+  delete identity.__v;
+  return identity;
+};
+
+module.exports = mongoose.model('LinkedIdentity', linkedIdentitySchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// How long login history is kept
+const LOGIN_HISTORY_DAYS = 90;
+
+// One login attempt on a user's account, shown to the user
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  // Why a login failed, e.g. "invalid_password" or "locked"
+  reason: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    default: 'password'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Hash of what the client tells about itself; the same browser keeps it
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Network the IP belongs to (/24 for IPv4, /64 for IPv6)
+  network: {
+    type: String,
+    default: null
+  },
+  // Successful login from a device or network the account had not used
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  // When the user said this login was not them
+  reportedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+loginEventSchema.methods.toJSON = function() {
+  const event = this.toObject();
+  delete event.__v;
+  return event;
+};
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts per client IP
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Forget an IP a day after its last failure
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
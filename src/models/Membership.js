@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Permissions each organization role grants while acting inside that organization
+const ORG_ROLE_PERMISSIONS = {
+  owner: ['users:read', 'orgs:update', 'orgs:delete', 'members:manage'],
+  admin: ['users:read', 'orgs:update', 'members:manage'],
+  member: []
+};
+
+const membershipSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: Object.keys(ORG_ROLE_PERMISSIONS),
+      message: "Unknown organization role '{VALUE}'"
+    },
+    default: 'member'
+  }
+}, {
+  timestamps: true
+});
+
+membershipSchema.index({ user: 1, organization: 1 }, { unique: true });
+
+membershipSchema.virtual('permissions').get(function() {
+  return ORG_ROLE_PERMISSIONS[this.role] || [];
+});
+
+const Membership = mongoose.model('Membership', membershipSchema);
+Membership.ROLES = Object.keys(ORG_ROLE_PERMISSIONS);
+
+module.exports = Membership;
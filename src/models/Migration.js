@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Records which migrations have been applied to the database
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
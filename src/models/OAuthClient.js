@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { SCOPES, GRANT_TYPES, hashSecret, safeEqual } = require('../utils/oauth');
+
+// Redirect URIs must be absolute, without fragments, and use https unless
+// they point at the local machine
+const isValidRedirectUri = (uri) => {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return false;
+  }
+
+  if (url.hash) return false;
+  if (url.protocol === 'https:') return true;
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+};
+
+const oauthClientSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Public clients (SPAs, mobile apps) cannot keep a secret and rely on PKCE alone
+  clientSecretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['confidential', 'public'],
+      message: "Client type must be 'confidential' or 'public'"
+    },
+    default: 'confidential'
+  },
+  name: {
+    type: String,
+    required: [true, 'Client name is required'],
+    trim: true,
+    maxlength: [100, 'Client name cannot exceed 100 characters']
+  },
+  redirectUris: {
+    type: [{
+      type: String,
+      validate: [isValidRedirectUri, "Invalid redirect URI '{VALUE}'"]
+    }],
+    validate: [
+      (uris) => uris.length > 0,
+      'At least one redirect URI is required'
+    ]
+  },
+  // Scopes the client may request
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPES,
+        message: "Unknown scope '{VALUE}'"
+      }
+    }],
+    default: []
+  },
+  grantTypes: {
+    type: [{
+      type: String,
+      enum: {
+        values: GRANT_TYPES,
+        message: "Unsupported grant type '{VALUE}'"
+      }
+    }],
+    default: ['authorization_code', 'refresh_token']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Only confidential clients can act on their own behalf
+oauthClientSchema.pre('validate', function(next) {
+  if (this.type === 'public' && this.grantTypes.includes('client_credentials')) {
+    this.invalidate('grantTypes', 'Public clients cannot use client_credentials');
+  }
+  next();
+});
+
+// Register a client. A confidential client's secret is returned once and
+// only its hash is stored.
+oauthClientSchema.statics.register = async function(owner, fields) {
+  const client = new this({
+    ...fields,
+    owner,
+    clientId: crypto.randomBytes(16).toString('hex')
+  });
+
+  const clientSecret = client.type === 'confidential' ? client.createSecret() : null;
+  await client.save();
+
+  return { client, clientSecret };
+};
+
+// Replace the client secret and return the new one
+oauthClientSchema.methods.createSecret = function() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  this.clientSecretHash = hashSecret(secret);
+  return secret;
+};
+
+oauthClientSchema.methods.verifySecret = function(secret) {
+  return Boolean(this.clientSecretHash && secret) && safeEqual(this.clientSecretHash, hashSecret(secret));
+};
+
+oauthClientSchema.methods.toJSON = function() {
+  const client = this.toObject();
+  delete client.clientSecretHash;
+  delete client.__v;
+  return client;
+};
+
+module.exports = mongoose.model('OAuthClient', oauthClientSchema);
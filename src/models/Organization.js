@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    minlength: [2, 'Organization name must be at least 2 characters long'],
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Role = require('./Role');
+
+// Tokens start with this so protect can tell them apart from JWTs
+const PREFIX = 'pat_';
+
+// Avoid a database write on every request just to bump lastUsedAt
+const TOUCH_INTERVAL = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // Permissions the token may use. They only narrow the user's own
+  // permissions and never grant more.
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: [...Role.PERMISSIONS, '*'],
+        message: "Unknown scope '{VALUE}'"
+      }
+    }],
+    default: []
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can recognise it in listings
+  hint: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+personalAccessTokenSchema.index({ user: 1, name: 1 }, { unique: true });
+personalAccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a token for a user. The plain token is returned once and never stored.
+personalAccessTokenSchema.statics.issue = async function(userId, { name, scopes, expiresAt }) {
+  const token = `${PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const accessToken = await this.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    hint: token.slice(0, PREFIX.length + 4)
+  });
+
+  return { accessToken, token };
+};
+
+// Find the unexpired token matching a plain token
+personalAccessTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Revoke every token of a user, e.g. when someone else may have known the
+// password. Returns how many tokens were revoked.
+personalAccessTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const { deletedCount } = await this.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+personalAccessTokenSchema.methods.touch = async function() {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < TOUCH_INTERVAL) return;
+
+  this.lastUsedAt = now;
+  await this.save();
+};
+
+personalAccessTokenSchema.methods.toJSON = function() {
+  const accessToken = this.toObject();
+  delete accessToken.tokenHash;
+  delete accessToken.__v;
+  return accessToken;
+};
+
+const PersonalAccessToken = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
+PersonalAccessToken.PREFIX = PREFIX;
+
+module.exports = PersonalAccessToken;
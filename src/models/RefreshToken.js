@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateRefreshToken } = require('../utils/generateToken');
+
+const refreshTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // All tokens obtained by rotating the same login share a family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove records once the token itself has expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sign a new refresh token and store it server-side
+refreshTokenSchema.statics.issue = async function(userId, family = crypto.randomUUID()) {
+  const jti = crypto.randomUUID();
+  const token = generateRefreshToken(userId, { jti, family });
+  const { exp } = jwt.decode(token);
+
+  await this.create({
+    jti,
+    user: userId,
+    family,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return token;
+};
+
+// Revoke every token that belongs to a family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
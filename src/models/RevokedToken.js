@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Matches the token's own expiry; after that the record is useless
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Add a token to the revocation list using its decoded payload
+revokedTokenSchema.statics.revoke = function(payload) {
+  return this.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        user: payload.id,
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return !!(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Every permission a role can be granted. "*" grants all of them.
+const PERMISSIONS = [
+  'users:read',
+  'users:update:any',
+  'users:delete',
+  'users:unlock',
+  'roles:read',
+  'roles:write',
+  'roles:assign',
+  'audit:read'
+];
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits, "-" or "_"']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: [...PERMISSIONS, '*'],
+        message: "Unknown permission '{VALUE}'"
+      }
+    }],
+    default: []
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether this role grants a permission
+roleSchema.methods.can = function(permission) {
+  return this.permissions.includes('*') || this.permissions.includes(permission);
+};
+
+const Role = mongoose.model('Role', roleSchema);
+Role.PERMISSIONS = PERMISSIONS;
+
+module.exports = Role;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+const { generateToken } = require('../utils/generateToken');
+const { oauthAudience } = require('../utils/oauth');
+
+// Sessions live as long as their refresh tokens
+const SESSION_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+
+// Avoid a database write on every request just to bump lastUsedAt
+const TOUCH_INTERVAL = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  // Organization the session acts in; refreshed access tokens keep it
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // OAuth client the session was granted to, and the scope it may use.
+  // First-party logins have neither.
+  client: {
+    type: String,
+    default: null,
+    index: true
+  },
+  scope: {
+    type: [String],
+    default: undefined
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_LIFETIME)
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create a session for a user from the incoming request
+sessionSchema.statics.start = function(userId, req, { client, scope } = {}) {
+  return this.create({
+    user: userId,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+    client,
+    scope
+  });
+};
+
+// Revoke every live session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const sessions = await this.find(filter);
+  await Promise.all(sessions.map(session => session.revoke()));
+  return sessions.length;
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Record activity on the session
+sessionSchema.methods.touch = async function({ extend = false } = {}) {
+  const now = new Date();
+  if (!extend && now - this.lastUsedAt < TOUCH_INTERVAL) return;
+
+  this.lastUsedAt = now;
+  if (extend) {
+    this.expiresAt = new Date(now.getTime() + SESSION_LIFETIME);
+  }
+  await this.save();
+};
+
+// Revoke the session along with the refresh tokens issued for it
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  await this.save();
+  await RefreshToken.revokeFamily(this.id);
+};
+
+// Sign an access token for this session
+sessionSchema.methods.issueAccessToken = function() {
+  return generateToken(this.user, {
+    sessionId: this.id,
+    organizationId: this.organization,
+    ...(this.client && { clientId: this.client, scope: this.scope, audience: oauthAudience() })
+  });
+};
+
+// Method to get session without internal fields
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.__v;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  alg: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+  // PKCS#8 PEM; never leaves the key store
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  // Set on retirement, once no token signed with this key can still be valid
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
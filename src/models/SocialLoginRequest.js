@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long the user has to finish signing in at the provider
+const REQUEST_LIFETIME = 10 * 60 * 1000;
+
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+// A sign-in started at an external provider, found again by its state
+// parameter when the provider sends the user back
+const socialLoginRequestSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier; only its challenge is sent to the provider
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Set when a logged-in user is linking an account instead of logging in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + REQUEST_LIFETIME)
+  }
+});
+
+socialLoginRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Store a new request and return its state and PKCE verifier
+socialLoginRequestSchema.statics.issue = async function({ provider, user = null }) {
+  const state = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  await this.create({ stateHash: hashState(state), provider, codeVerifier, user });
+
+  return { state, codeVerifier };
+};
+
+// Find and delete the pending request, so a state only works once
+socialLoginRequestSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    stateHash: hashState(state),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const SocialLoginRequest = mongoose.model('SocialLoginRequest', socialLoginRequestSchema);
+SocialLoginRequest.LIFETIME = REQUEST_LIFETIME;
+
+module.exports = SocialLoginRequest;
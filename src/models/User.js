@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const validator = require('validator');
 
 const userSchema = new mongoose.Schema({
@@ -24,15 +25,108 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't return password by default
   },
+  // Name of a Role document, which holds the permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: (name) => mongoose.model('Role').exists({ name }).then(Boolean),
+      message: "Role '{VALUE}' does not exist"
+    }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // jti of the only verification token that is still valid
+  emailVerificationTokenId: {
+    type: String,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Consecutive failed logins since the last success or lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  mfaEnabled: {
+    type: Boolean,
+    default: false
+  },
+  totpSecret: {
+    type: String,
+    select: false
+  },
+  // Last TOTP time step accepted, so a code cannot be replayed
+  totpLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // SHA-256 hashes of the unused backup codes
+  backupCodes: {
+    type: [String],
+    select: false,
+    default: undefined
+  },
+  // jti of the only magic login link that is still valid
+  magicLinkTokenId: {
+    type: String,
+    select: false
+  },
+  magicLinkSentAt: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Login with the password is refused until it is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // When the account is purged, set while a deletion the user asked for
+  // is pending. The account stays deactivated until then.
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Set when an admin deletes the account. Soft-deleted users can be
+  // restored until they are purged.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -52,22 +146,73 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Tokens issued before this moment are no longer accepted
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
   }
 });
 
+// Whether a filter mentions deletedAt, directly or under $and
+const filtersOnDeleted = (filter) => 'deletedAt' in filter || (filter.$and || []).some(filtersOnDeleted);
+
+// Leave soft-deleted users out of every query, unless the query filters
+// on deletedAt itself or sets the `withDeleted` option
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted || filtersOnDeleted(this.getFilter())) return;
+  this.where({ deletedAt: null });
+};
+['find', 'findOne', 'countDocuments', 'distinct', 'updateOne', 'updateMany', 'findOneAndUpdate',
+  'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  userSchema.pre(operation, { document: false, query: true }, excludeDeleted);
+});
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Method to create a password reset token. Returns the raw token,
+// which only ever goes into the email.
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
 // Method to get user without sensitive data
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationTokenId;
+  delete user.emailVerificationSentAt;
+  delete user.magicLinkTokenId;
+  delete user.magicLinkSentAt;
+  delete user.totpSecret;
+  delete user.totpLastUsedStep;
+  delete user.backupCodes;
+  delete user.lastFailedLoginAt;
   delete user.__v;
+
+  // Lock state is only present when it was explicitly selected (admin views)
+  if (user.failedLoginAttempts !== undefined) {
+    user.isLocked = !!user.lockUntil && user.lockUntil > new Date();
+  }
   return user;
 };
 
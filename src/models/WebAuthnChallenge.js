@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { generateChallenge } = require('../utils/webauthn');
+
+// How long the browser has to answer a challenge
+const CHALLENGE_LIFETIME = 5 * 60 * 1000;
+
+// A challenge handed to the browser for one WebAuthn ceremony
+const webAuthnChallengeSchema = new mongoose.Schema({
+  challenge: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  purpose: {
+    type: String,
+    enum: ['registration', 'login', 'mfa'],
+    required: true
+  },
+  // Who the ceremony is for; unknown for passwordless login
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + CHALLENGE_LIFETIME)
+  }
+});
+
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webAuthnChallengeSchema.statics.issue = async function({ purpose, user = null }) {
+  const { challenge } = await this.create({ challenge: generateChallenge(), purpose, user });
+  return challenge;
+};
+
+// Find and delete an unexpired challenge, so each one is answered only once
+webAuthnChallengeSchema.statics.consume = function(challenge, purpose) {
+  return this.findOneAndDelete({
+    challenge: String(challenge),
+    purpose,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
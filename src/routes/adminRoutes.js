@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuditEvents,
+  exportAuditEvents,
+  verifyAuditEvents
+} = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: auth.login
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *           description: User who acted; null for anonymous requests
+ *         target:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: user
+ *             id:
+ *               type: string
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         requestId:
+ *           type: string
+ *           description: Value of the X-Request-Id response header
+ *         details:
+ *           type: object
+ *           example: { method: password, reason: invalid_password }
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         sequence:
+ *           type: integer
+ *           description: Position in the hash chain, starting at 1
+ *         previousHash:
+ *           type: string
+ *         hash:
+ *           type: string
+ *           description: SHA-256 of the event's content and previousHash
+ *   parameters:
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: Comma-separated actions; `auth.*` matches every action under `auth`
+ *     AuditOutcome:
+ *       in: query
+ *       name: outcome
+ *       schema:
+ *         type: string
+ *         enum: [success, failure]
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: User id
+ *     AuditTargetType:
+ *       in: query
+ *       name: targetType
+ *       schema:
+ *         type: string
+ *     AuditTargetId:
+ *       in: query
+ *       name: targetId
+ *       schema:
+ *         type: string
+ *     AuditIp:
+ *       in: query
+ *       name: ip
+ *       schema:
+ *         type: string
+ *     AuditRequestId:
+ *       in: query
+ *       name: requestId
+ *       schema:
+ *         type: string
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+router.use(protect, requirePermission('audit:read'));
+
+/**
+ * @swagger
+ * /api/admin/audit-events:
+ *   get:
+ *     summary: List audit events, newest first (requires audit:read)
+ *     description: Paginated like `GET /api/users`, with page/limit or cursors.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditOutcome'
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditIp'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from `nextCursor`; switches to cursor pagination
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Page of audit events
+ *         headers:
+ *           Link:
+ *             description: Links to neighbouring pages
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/audit-events', getAuditEvents);
+
+/**
+ * @swagger
+ * /api/admin/audit-events/export:
+ *   get:
+ *     summary: Export audit events as NDJSON, oldest first (requires audit:read)
+ *     description: One JSON event per line, with the same filters as the list.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditOutcome'
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditIp'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       200:
+ *         description: Newline-delimited JSON
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/audit-events/export', exportAuditEvents);
+
+/**
+ * @swagger
+ * /api/admin/audit-events/verify:
+ *   get:
+ *     summary: Check the audit hash chain (requires audit:read)
+ *     description: Walks every event from the start of the chain and reports the first broken link. Signed checkpoints past the end of the chain reveal removed events.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     eventsChecked:
+ *                       type: integer
+ *                     lastSequence:
+ *                       type: integer
+ *                     checkpointsChecked:
+ *                       type: integer
+ *                     unverifiedCheckpoints:
+ *                       type: integer
+ *                       description: Checkpoints signed by a key other than AUDIT_SIGNING_KEY
+ *                     brokenAt:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         sequence:
+ *                           type: integer
+ *                         eventId:
+ *                           type: string
+ *                           nullable: true
+ *                         reason:
+ *                           type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/audit-events/verify', verifyAuditEvents);
+
+module.exports = router;
@@ -3,10 +3,62 @@ const router = express.Router();
 const {
   register,
   login,
+  refresh,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getMe,
+  deleteMe,
   logout
 } = require('../controllers/authController');
-const { protect } = require('../middleware/auth');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  switchOrganization
+} = require('../controllers/sessionController');
+const {
+  setupTotp,
+  confirmTotp,
+  regenerateBackupCodes,
+  disableMfa,
+  verifyMfa
+} = require('../controllers/mfaController');
+const {
+  getTokens,
+  createToken,
+  revokeToken
+} = require('../controllers/tokenController');
+const {
+  getProviders,
+  startLogin,
+  callback,
+  getIdentities,
+  startLink,
+  unlink
+} = require('../controllers/socialAuthController');
+const {
+  requestMagicLink,
+  verifyMagicLink
+} = require('../controllers/magicLinkController');
+const {
+  getRegistrationOptions,
+  registerPasskey,
+  getPasskeys,
+  deletePasskey,
+  getLoginOptions,
+  loginWithPasskey,
+  getMfaOptions,
+  verifyMfaWithPasskey
+} = require('../controllers/passkeyController');
+const {
+  getLoginHistory,
+  confirmReportLogin,
+  reportLogin
+} = require('../controllers/loginHistoryController');
+const { protect, requireSession } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -25,6 +77,29 @@ const { protect } = require('../middleware/auth');
  *           type: string
  *         isActive:
  *           type: boolean
+ *         emailVerified:
+ *           type: boolean
+ *         mfaEnabled:
+ *           type: boolean
+ *         failedLoginAttempts:
+ *           type: integer
+ *           description: Only returned to users with the users:read permission
+ *         lockUntil:
+ *           type: string
+ *           format: date-time
+ *           description: Only returned to users with the users:read permission
+ *         isLocked:
+ *           type: boolean
+ *           description: Only returned to users with the users:read permission
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set on deleted users, listed with `GET /api/users?deleted=true`
+ *         deletedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Admin who deleted the user
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -41,6 +116,92 @@ const { protect } = require('../middleware/auth');
  *               type: string
  *             refreshToken:
  *               type: string
+ *     PersonalAccessToken:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         hint:
+ *           type: string
+ *           description: First characters of the token
+ *           example: pat_x7Kq
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         organization:
+ *           type: string
+ *           nullable: true
+ *           description: Organization the session acts in
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *     LoginEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure]
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why a login failed or was refused
+ *         method:
+ *           type: string
+ *           description: How the user logged in, e.g. password, magic-link, passkey
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         network:
+ *           type: string
+ *           nullable: true
+ *           description: /24 (IPv4) or /64 (IPv6) network of the address
+ *         newDevice:
+ *           type: boolean
+ *           description: Whether a new device alert was emailed for this login
+ *         reportedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the user reported the login as not theirs
+ *         thisDevice:
+ *           type: boolean
+ *           description: Whether the login came from the device making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     CurrentUserResponse:
  *       type: object
  *       properties:
@@ -99,6 +260,7 @@ router.post('/register', register);
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: For accounts with two-factor authentication the response contains `mfaRequired` and an `mfaToken` instead of tokens; finish the login at /api/auth/mfa/verify.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -126,21 +288,36 @@ router.post('/register', register);
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
  */
 router.post('/login', login);
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current logged-in user
+ * /api/auth/magic-link:
+ *   post:
+ *     summary: Email a passwordless login link
+ *     description: Only available when MAGIC_LINK_ENABLED is true. Always answers the same way whether or not the account exists. Keep the returned deviceToken in the browser; the link only works together with it. At most one link per minute is sent to an account.
  *     tags:
  *       - Authentication
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
  *     responses:
  *       200:
- *         description: Current user information
+ *         description: Link sent if the account exists
  *         content:
  *           application/json:
  *             schema:
@@ -148,28 +325,1291 @@ router.post('/login', login);
  *               properties:
  *                 success:
  *                   type: boolean
+ *                 message:
+ *                   type: string
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   type: object
+ *                   properties:
+ *                     deviceToken:
+ *                       type: string
+ *       400:
+ *         description: Email missing
+ *       404:
+ *         description: Magic link login is not enabled
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
+ */
+router.post('/magic-link', requestMagicLink);
+
+/**
+ * @swagger
+ * /api/auth/magic-link/verify:
+ *   post:
+ *     summary: Log in with an emailed link
+ *     description: Each link works once, expires after 15 minutes and only with the deviceToken of the request that sent it. Failures count towards the same lockout as /api/auth/login. Accounts with two-factor authentication get an mfaToken instead of tokens.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - deviceToken
+ *             properties:
+ *               token:
+ *                 type: string
+ *               deviceToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Token or device token missing
  *       401:
- *         description: Unauthorized
+ *         description: Invalid, expired or used link, or another device
+ *       404:
+ *         description: Magic link login is not enabled
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
  */
-router.get('/me', protect, getMe);
+router.post('/magic-link/verify', verifyMagicLink);
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/refresh:
  *   post:
- *     summary: Logout user
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Presenting an already rotated token revokes every token issued from the same login.
  *     tags:
  *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Invalid, revoked or reused refresh token
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete a login with a TOTP or backup code
+ *     description: Each MFA token allows a single attempt. After a wrong code the user has to log in again.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - code
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing fields
+ *       401:
+ *         description: Invalid MFA token or code
+ */
+router.post('/mfa/verify', verifyMfa);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicKeyCredential:
+ *       type: object
+ *       description: The credential returned by navigator.credentials.create() or get(), with binary fields base64url-encoded (as PublicKeyCredential.toJSON() does)
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           example: public-key
+ *         response:
+ *           type: object
+ *           properties:
+ *             clientDataJSON:
+ *               type: string
+ *             attestationObject:
+ *               type: string
+ *             authenticatorData:
+ *               type: string
+ *             signature:
+ *               type: string
+ *             userHandle:
+ *               type: string
+ *             transports:
+ *               type: array
+ *               items:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/auth/passkeys/registration/options:
+ *   post:
+ *     summary: Get options for registering a passkey
+ *     description: Pass the result to navigator.credentials.create() after decoding challenge, user.id and excludeCredentials ids from base64url.
+ *     tags:
+ *       - Passkeys
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: PublicKeyCredentialCreationOptions
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/passkeys/registration/options', protect, requireSession, getRegistrationOptions);
+
+/**
+ * @swagger
+ * /api/auth/passkeys:
+ *   get:
+ *     summary: List your passkeys
+ *     tags:
+ *       - Passkeys
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys, newest first
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Register a passkey
+ *     description: Accepts "none" and "packed" attestation.
+ *     tags:
+ *       - Passkeys
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Work laptop
+ *               credential:
+ *                 $ref: '#/components/schemas/PublicKeyCredential'
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Invalid challenge, attestation or client data
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Passkey already registered
+ */
+router.route('/passkeys')
+  .get(protect, requireSession, getPasskeys)
+  .post(protect, requireSession, registerPasskey);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/{id}:
+ *   delete:
+ *     summary: Remove a passkey
+ *     tags:
+ *       - Passkeys
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Passkey not found
+ */
+router.delete('/passkeys/:id', protect, requireSession, deletePasskey);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/login/options:
+ *   post:
+ *     summary: Get options for logging in with a passkey
+ *     description: Pass the result to navigator.credentials.get(). No email is needed; the authenticator offers the user's passkeys.
+ *     tags:
+ *       - Passkeys
+ *     responses:
+ *       200:
+ *         description: PublicKeyCredentialRequestOptions
+ */
+router.post('/passkeys/login/options', getLoginOptions);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/login:
+ *   post:
+ *     summary: Log in with a passkey
+ *     description: The passkey must verify the user (PIN or biometrics), so no second factor is asked for. Failures count towards the same lockout as /api/auth/login.
+ *     tags:
+ *       - Passkeys
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 $ref: '#/components/schemas/PublicKeyCredential'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid or expired challenge
+ *       401:
+ *         description: Unknown passkey, invalid signature or signature counter
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; retry after the Retry-After header
+ */
+router.post('/passkeys/login', loginWithPasskey);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/mfa/options:
+ *   post:
+ *     summary: Get options for using a passkey as second factor
+ *     description: Takes the mfaToken from /api/auth/login.
+ *     tags:
+ *       - Passkeys
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: PublicKeyCredentialRequestOptions for the user's passkeys
+ *       400:
+ *         description: No passkeys registered
+ *       401:
+ *         description: Invalid or expired MFA token
+ */
+router.post('/passkeys/mfa/options', getMfaOptions);
+
+/**
+ * @swagger
+ * /api/auth/passkeys/mfa:
+ *   post:
+ *     summary: Complete a login with a passkey as second factor
+ *     description: Like /api/auth/mfa/verify, each MFA token allows one attempt.
+ *     tags:
+ *       - Passkeys
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *               - credential
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               credential:
+ *                 $ref: '#/components/schemas/PublicKeyCredential'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid MFA token or passkey
+ */
+router.post('/passkeys/mfa', verifyMfaWithPasskey);
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/setup:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Returns a new secret as an otpauth URI and a QR code data URL. Two-factor authentication is enabled once the first code is confirmed.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUri:
+ *                       type: string
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/mfa/totp/setup', protect, requireSession, setupTotp);
+
+/**
+ * @swagger
+ * /api/auth/mfa/totp/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment with a first code
+ *     description: Enables two-factor authentication and returns one-time backup codes, which are only shown once.
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/mfa/totp/confirm', protect, requireSession, confirmTotp);
+
+/**
+ * @swagger
+ * /api/auth/mfa/backup-codes:
+ *   post:
+ *     summary: Replace the backup codes
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP or backup code
+ *     responses:
+ *       200:
+ *         description: New backup codes generated
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/mfa/backup-codes', protect, requireSession, regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/auth/mfa:
+ *   delete:
+ *     summary: Turn off two-factor authentication
+ *     tags:
+ *       - Two-Factor Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Unauthorized or password incorrect
+ */
+router.delete('/mfa', protect, requireSession, disableMfa);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Verify email address from the emailed link
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing, invalid, expired or already used token
+ *   post:
+ *     summary: Verify email address
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Missing, invalid, expired or already used token
+ */
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new verification email
+ *     description: Invalidates previously sent links. Limited to one email per minute.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Verification email was sent recently
+ */
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always responds the same way, whether or not an account exists for the email.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email missing
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Consumes the token and revokes every existing session of the user.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 example: newPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or password does not meet the policy
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current logged-in user
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: Requires the password. The account is deactivated and logged out at once, and purged after ACCOUNT_DELETION_GRACE_DAYS days. Logging in before then cancels the deletion.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: password123
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Missing password
+ *       401:
+ *         description: Unauthorized or incorrect password
+ */
+router.route('/me')
+  .get(protect, getMe)
+  .delete(protect, requireSession, deleteMe);
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password of the current user
+ *     description: Requires the current password. Every token issued before the change stops working, so the response carries a new token pair.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: password123
+ *               newPassword:
+ *                 type: string
+ *                 example: newPassword456
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       400:
+ *         description: Missing fields or new password does not meet the policy
+ *       401:
+ *         description: Unauthorized or current password is incorrect
+ */
+router.put('/password', protect, requireSession, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Revokes the access token used for the request and, when provided, the refresh token.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', protect, requireSession, logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', protect, requireSession, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Log out all other sessions
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/sessions/revoke-others', protect, requireSession, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, requireSession, revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: List login attempts on the current user's account
+ *     description: Kept for 90 days.
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from `nextCursor`; switches to cursor pagination
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt]
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Page of login attempts
+ *         headers:
+ *           Link:
+ *             description: Links to neighbouring pages
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginEvent'
+ *       400:
+ *         description: Invalid filter or pagination parameter
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/login-history', protect, requireSession, getLoginHistory);
+
+/**
+ * @swagger
+ * /api/auth/not-me:
+ *   get:
+ *     summary: Confirmation page for the link in the new device email
+ *     description: Changes nothing; its form posts the token to POST /api/auth/not-me.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the new device email
+ *     responses:
+ *       200:
+ *         description: HTML page asking the user to confirm
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or malformed token
+ *   post:
+ *     summary: Report a login from the new device email as not yours
+ *     description: Logs out every session, revokes personal access tokens and blocks password login until the password is reset. A reset email is sent.
+ *     tags:
+ *       - Sessions
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sessions logged out and reset email sent
+ *       400:
+ *         description: Missing, invalid, expired or already used token
+ */
+router.get('/not-me', confirmReportLogin);
+router.post('/not-me', reportLogin);
+
+/**
+ * @swagger
+ * /api/auth/organization:
+ *   put:
+ *     summary: Switch the organization the current session acts in
+ *     description: Returns an access token carrying the organization. Tokens refreshed in this session keep it. Send null to act outside any organization. A single request can also pick an organization with the X-Organization-Id header.
+ *     tags:
+ *       - Sessions
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               organizationId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Organization switched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     organizationId:
+ *                       type: string
+ *                       nullable: true
+ *                     token:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member of this organization
+ */
+router.put('/organization', protect, requireSession, switchOrganization);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List your personal access tokens
+ *     description: Tokens themselves are never shown again; each entry has a hint with its first characters.
+ *     tags:
+ *       - Personal Access Tokens
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unexpired tokens, newest first
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: This route requires logging in with a password
+ *   post:
+ *     summary: Create a personal access token
+ *     description: The token is only returned in this response. It can use its scopes only as far as your role allows.
+ *     tags:
+ *       - Personal Access Tokens
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["users:read"]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
+ *     responses:
+ *       201:
+ *         description: Token created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: A token with this name already exists
+ */
+router.route('/tokens')
+  .get(protect, requireSession, getTokens)
+  .post(protect, requireSession, createToken);
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags:
+ *       - Personal Access Tokens
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:id', protect, requireSession, revokeToken);
+
+/**
+ * @swagger
+ * /api/auth/oauth:
+ *   get:
+ *     summary: List the external sign-in providers
+ *     tags:
+ *       - Social Login
+ *     responses:
+ *       200:
+ *         description: Names of the configured providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["google", "github"]
+ */
+router.get('/oauth', getProviders);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Start logging in with an external provider
+ *     description: Returns the provider URL to send the user to. The provider sends the user back to the callback.
+ *     tags:
+ *       - Social Login
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *       404:
+ *         description: Unknown sign-in provider
+ */
+router.get('/oauth/:provider', startLogin);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Finish logging in or linking with an external provider
+ *     description: Takes the code and state the provider sent back. Logs in the user with this linked account, or links it to the user with the same verified email, or creates a new user. Requests started from POST /api/auth/identities/{provider} link the account instead. Accounts with two-factor authentication get an mfaToken as with /api/auth/login.
+ *     tags:
+ *       - Social Login
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Logged in, or account linked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       201:
+ *         description: New user registered and logged in
+ *       400:
+ *         description: Invalid or expired state, or the provider refused
+ *       401:
+ *         description: Account is inactive
+ *       404:
+ *         description: Unknown sign-in provider
+ *       409:
+ *         description: The email belongs to an account that cannot be linked automatically, or the external account is linked to another user
+ */
+router.get('/oauth/:provider/callback', callback);
+
+/**
+ * @swagger
+ * /api/auth/identities:
+ *   get:
+ *     summary: List your linked external accounts
+ *     tags:
+ *       - Social Login
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked accounts
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/identities', protect, requireSession, getIdentities);
+
+/**
+ * @swagger
+ * /api/auth/identities/{provider}:
+ *   post:
+ *     summary: Start linking an external account
+ *     description: Returns the provider URL to send the user to; the callback then links the account.
+ *     tags:
+ *       - Social Login
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider authorization URL
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Unknown sign-in provider
+ *       409:
+ *         description: An account of this provider is already linked
+ *   delete:
+ *     summary: Unlink an external account
+ *     tags:
+ *       - Social Login
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlinked
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: No linked account for this provider
  */
-router.post('/logout', protect, logout);
+router.route('/identities/:provider')
+  .post(protect, requireSession, startLink)
+  .delete(protect, requireSession, unlink);
 
 module.exports = router;
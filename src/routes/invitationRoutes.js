@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+  joinWithInvitation
+} = require('../controllers/invitationController');
+const { protect, requirePermission, requireOrganization, requireSession } = require('../middleware/auth');
+
+// Managing invitations happens inside the active organization
+const manage = [protect, requireOrganization, requirePermission('members:manage')];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         organization:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *         invitedBy:
+ *           type: string
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/invitations/accept:
+ *   get:
+ *     summary: Look up an invitation before accepting it
+ *     tags:
+ *       - Invitations
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation details, and whether an account already exists for the email
+ *       400:
+ *         description: Invalid or expired invitation
+ *   post:
+ *     summary: Accept an invitation by creating an account
+ *     description: For emails that already have an account, log in and use /api/invitations/join instead.
+ *     tags:
+ *       - Invitations
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created and added to the organization
+ *       400:
+ *         description: Invalid or expired invitation, or validation error
+ *       409:
+ *         description: An account already exists for the invited email
+ */
+router.route('/accept')
+  .get(getInvitationByToken)
+  .post(acceptInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/join:
+ *   post:
+ *     summary: Accept an invitation with the logged-in account
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Added to the organization
+ *       400:
+ *         description: Invalid or expired invitation
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not logged in with a password, or the invitation was sent to a different email address
+ */
+router.post('/join', protect, requireSession, joinWithInvitation);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List pending invitations of the active organization (owners and admins)
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Organization-Id
+ *         schema:
+ *           type: string
+ *         description: Required unless the token carries an organization
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: No organization selected
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *   post:
+ *     summary: Invite someone to the active organization (owners and admins)
+ *     description: Emails a link that expires after INVITATION_EXPIRE_DAYS days.
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Organization-Id
+ *         schema:
+ *           type: string
+ *         description: Required unless the token carries an organization
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Validation error or no organization selected
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       409:
+ *         description: Already a member, or an invitation is already pending
+ */
+router.route('/')
+  .get(...manage, getInvitations)
+  .post(...manage, createInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/resend:
+ *   post:
+ *     summary: Send a pending invitation again (owners and admins)
+ *     description: Issues a new link; the previous one stops working.
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation sent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Invitation not found
+ *       429:
+ *         description: Invitation was sent recently
+ */
+router.post('/:id/resend', ...manage, resendInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (owners and admins)
+ *     tags:
+ *       - Invitations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', ...manage, revokeInvitation);
+
+module.exports = router;
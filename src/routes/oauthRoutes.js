@@ -0,0 +1,578 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAuthorization,
+  authorize,
+  token,
+  introspect,
+  revoke,
+  userinfo
+} = require('../controllers/oauthController');
+const {
+  registerClient,
+  getClients,
+  getClient,
+  updateClient,
+  rotateClientSecret,
+  deleteClient
+} = require('../controllers/oauthClientController');
+const { protect, requireSession } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OAuthClient:
+ *       type: object
+ *       properties:
+ *         clientId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [confidential, public]
+ *         redirectUris:
+ *           type: array
+ *           items:
+ *             type: string
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         grantTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [authorization_code, refresh_token, client_credentials]
+ *     OAuthTokenResponse:
+ *       type: object
+ *       properties:
+ *         access_token:
+ *           type: string
+ *         token_type:
+ *           type: string
+ *           example: Bearer
+ *         expires_in:
+ *           type: integer
+ *         refresh_token:
+ *           type: string
+ *         id_token:
+ *           type: string
+ *           description: Returned when the openid scope was granted
+ *         scope:
+ *           type: string
+ *     OAuthError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *           example: invalid_grant
+ *         error_description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /oauth/authorize:
+ *   get:
+ *     summary: Describe an authorization request for the consent screen
+ *     description: Validates the request of an OAuth client on behalf of the logged-in user. PKCE with S256 is required.
+ *     tags:
+ *       - OAuth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: response_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [code]
+ *       - in: query
+ *         name: client_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *         description: Space-separated permissions, plus the OpenID Connect scopes openid, profile and email
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: nonce
+ *         schema:
+ *           type: string
+ *         description: Echoed in the ID token
+ *       - in: query
+ *         name: code_challenge
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge_method
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [S256]
+ *     responses:
+ *       200:
+ *         description: Client name and requested scope to show the user
+ *       400:
+ *         description: Invalid authorization request
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Approve or deny an authorization request
+ *     description: Takes the same parameters as GET in the body, plus approve. Returns the URL to send the user back to, carrying either the authorization code or error=access_denied.
+ *     tags:
+ *       - OAuth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               response_type:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *               code_challenge:
+ *                 type: string
+ *               code_challenge_method:
+ *                 type: string
+ *               approve:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Redirect URL for the client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     redirectTo:
+ *                       type: string
+ *       400:
+ *         description: Invalid authorization request
+ *       401:
+ *         description: Unauthorized
+ */
+router.route('/authorize')
+  .get(protect, requireSession, getAuthorization)
+  .post(protect, requireSession, authorize);
+
+/**
+ * @swagger
+ * /oauth/token:
+ *   post:
+ *     summary: Token endpoint
+ *     description: Supports authorization_code (with PKCE code_verifier), refresh_token and client_credentials. Confidential clients authenticate with HTTP Basic or client_id/client_secret in the body.
+ *     tags:
+ *       - OAuth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code, refresh_token, client_credentials]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               refresh_token:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthTokenResponse'
+ *       400:
+ *         description: Invalid grant or request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       401:
+ *         description: Client authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.post('/token', token);
+
+/**
+ * @swagger
+ * /oauth/introspect:
+ *   post:
+ *     summary: Token introspection endpoint (RFC 7662)
+ *     description: Lets a resource server check whether an access or refresh token is still active. Only confidential clients may call it. Refresh tokens are reported with token_type refresh_token and must not be accepted as access tokens.
+ *     tags:
+ *       - OAuth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token state; inactive tokens only return active false
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                 token_type:
+ *                   type: string
+ *                   enum: [Bearer, refresh_token]
+ *                 sub:
+ *                   type: string
+ *                 client_id:
+ *                   type: string
+ *                 scope:
+ *                   type: string
+ *                 exp:
+ *                   type: integer
+ *       400:
+ *         description: Missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       401:
+ *         description: Client authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.post('/introspect', introspect);
+
+/**
+ * @swagger
+ * /oauth/revoke:
+ *   post:
+ *     summary: Token revocation endpoint (RFC 7009)
+ *     description: Revokes an access token, or a refresh token together with its whole grant. The token must have been issued to the calling client. Unknown or already revoked tokens also return 200.
+ *     tags:
+ *       - OAuth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               token_type_hint:
+ *                 type: string
+ *                 enum: [access_token, refresh_token]
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       400:
+ *         description: Missing token, or the token belongs to another client
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ *       401:
+ *         description: Client authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OAuthError'
+ */
+router.post('/revoke', revoke);
+
+/**
+ * @swagger
+ * /oauth/userinfo:
+ *   get:
+ *     summary: OpenID Connect UserInfo endpoint
+ *     description: Claims about the user who authorized the access token. name and updated_at need the profile scope; email and email_verified need the email scope. Also accepts POST.
+ *     tags:
+ *       - OAuth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User claims
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sub:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 updated_at:
+ *                   type: integer
+ *                 email:
+ *                   type: string
+ *                 email_verified:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The access token was not granted the openid scope
+ */
+router.route('/userinfo')
+  .get(protect, userinfo)
+  .post(protect, userinfo);
+
+/**
+ * @swagger
+ * /oauth/clients:
+ *   get:
+ *     summary: List your OAuth clients
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Clients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OAuthClient'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Register an OAuth client
+ *     description: Confidential clients get a clientSecret, shown only in this response.
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - redirectUris
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [confidential, public]
+ *                 default: confidential
+ *               redirectUris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grantTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Client registered successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ */
+router.route('/clients')
+  .get(protect, requireSession, getClients)
+  .post(protect, requireSession, registerClient);
+
+/**
+ * @swagger
+ * /oauth/clients/{clientId}:
+ *   get:
+ *     summary: Get one of your OAuth clients
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Client not found
+ *   put:
+ *     summary: Update an OAuth client
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               redirectUris:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grantTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Client updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Client not found
+ *   delete:
+ *     summary: Delete an OAuth client and revoke its sessions
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Client deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Client not found
+ */
+router.route('/clients/:clientId')
+  .get(protect, requireSession, getClient)
+  .put(protect, requireSession, updateClient)
+  .delete(protect, requireSession, deleteClient);
+
+/**
+ * @swagger
+ * /oauth/clients/{clientId}/secret:
+ *   post:
+ *     summary: Replace a confidential client's secret
+ *     tags:
+ *       - OAuth Clients
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New secret, shown only in this response
+ *       400:
+ *         description: Public clients do not have a secret
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Client not found
+ */
+router.post('/clients/:clientId/secret', protect, requireSession, rotateClientSecret);
+
+module.exports = router;
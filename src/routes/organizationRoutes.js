@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createOrganization,
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  getMembers,
+  updateMember,
+  removeMember
+} = require('../controllers/organizationController');
+const { protect, requirePermission, requireSession, scopeToOrganization } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *           description: The current user's role in the organization
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Member:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, admin, member]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: List the organizations the current user belongs to
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Organization'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create an organization
+ *     description: The creator becomes its owner.
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Acme Inc.
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - not logged in with a password
+ */
+router.route('/')
+  .get(getOrganizations)
+  .post(requireSession, createOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization (members only)
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Organization not found
+ *   put:
+ *     summary: Rename an organization (owners and admins)
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Organization updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Organization not found
+ *   delete:
+ *     summary: Delete an organization (owners only)
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organization deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Organization not found
+ */
+router.route('/:id')
+  .get(scopeToOrganization(), getOrganization)
+  .put(scopeToOrganization(), requirePermission('orgs:update'), updateOrganization)
+  .delete(scopeToOrganization(), requirePermission('orgs:delete'), deleteOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members:
+ *   get:
+ *     summary: List the members of an organization (members only)
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Member'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:id/members', scopeToOrganization(), getMembers);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owners and admins)
+ *     description: Only owners can grant or take away the owner role, and the last owner cannot be demoted.
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, admin, member]
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *       400:
+ *         description: Invalid role, or the last owner would be demoted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Organization or member not found
+ *   delete:
+ *     summary: Remove a member, or leave the organization
+ *     description: Members can always remove themselves. Removing others requires the owner or admin role, and the last owner cannot leave.
+ *     tags:
+ *       - Organizations
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The last owner cannot leave
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission, or not logged in with a password
+ *       404:
+ *         description: Organization or member not found
+ */
+router.route('/:id/members/:userId')
+  .put(scopeToOrganization(), requirePermission('members:manage'), updateMember)
+  .delete(requireSession, scopeToOrganization(), removeMember);
+
+module.exports = router;
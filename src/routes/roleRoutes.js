@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissions,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: support
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ['users:read', 'users:unlock']
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in roles cannot be deleted
+ */
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles (requires roles:read)
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *   post:
+ *     summary: Create a role (requires roles:write)
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error, unknown permission or role already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.route('/')
+  .get(requirePermission('roles:read'), getRoles)
+  .post(requirePermission('roles:write'), createRole);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List every permission a role can be granted (requires roles:read)
+ *     description: A role holding "*" is granted all of them.
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ */
+router.get('/permissions', requirePermission('roles:read'), getPermissions);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   get:
+ *     summary: Get a role (requires roles:read)
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Update a role's description or permissions (requires roles:write)
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Unknown permission, or '*' removed from the built-in admin role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a role (requires roles:write)
+ *     tags:
+ *       - Roles
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.route('/:name')
+  .get(requirePermission('roles:read'), getRole)
+  .put(requirePermission('roles:write'), updateRole)
+  .delete(requirePermission('roles:write'), deleteRole);
+
+module.exports = router;
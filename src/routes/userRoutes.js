@@ -4,22 +4,90 @@ const {
   getAllUsers,
   getUser,
   updateUser,
-  deleteUser
+  deleteUser,
+  restoreUser,
+  purgeUser,
+  unlockUser,
+  assignRole
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireSession, requireVerifiedEmail } = require('../middleware/auth');
 
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:read)
+ *     description: Paginated with page/limit, or with cursors when the `cursor` parameter is present (empty for the first page). Links to neighbouring pages are returned in the Link header.
  *     tags:
  *       - Users
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from `nextCursor`; switches to cursor pagination
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: boolean
+ *         description: List only deleted users, which can be restored or purged
+ *       - in: query
+ *         name: createdAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on name and email
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, email, -email, role, -role, createdAt, -createdAt, updatedAt, -updatedAt, deletedAt, -deletedAt]
+ *           default: -createdAt
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields to return, e.g. `name,email`
  *     responses:
  *       200:
- *         description: List of all users
+ *         description: Page of users
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: first, prev, next and last page links (next only in cursor mode)
  *         content:
  *           application/json:
  *             schema:
@@ -29,16 +97,29 @@ const { protect, authorize } = require('../middleware/auth');
  *                   type: boolean
  *                 count:
  *                   type: integer
+ *                   description: Users on this page
+ *                 total:
+ *                   type: integer
+ *                   description: Users matching the filters
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid query parameter
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - missing permission
  */
-router.get('/', protect, authorize('admin'), getAllUsers);
+router.get('/', protect, requirePermission('users:read'), getAllUsers);
 
 /**
  * @swagger
@@ -118,16 +199,19 @@ router.get('/:id', protect, getUser);
  *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - updating another user requires users:update:any, email not verified, or not logged in with a password
  *       404:
  *         description: User not found
  */
-router.put('/:id', protect, updateUser);
+router.put('/:id', protect, requireSession, requireVerifiedEmail, updateUser);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Delete user (Admin only)
+ *     summary: Delete user (requires users:delete)
+ *     description: The user is hidden and logged out, and can be restored until it is purged.
  *     tags:
  *       - Users
  *     security:
@@ -155,10 +239,170 @@ router.put('/:id', protect, updateUser);
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id', protect, requirePermission('users:delete'), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user (requires users:delete)
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Deleted user not found
+ */
+router.post('/:id/restore', protect, requirePermission('users:delete'), restoreUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/purge:
+ *   delete:
+ *     summary: Permanently remove a deleted user (requires users:delete)
+ *     description: Removes the user and its sessions, tokens, memberships, passkeys, linked identities, login history and OAuth clients. Only users that were deleted first can be purged. The email can be registered again afterwards.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User purged successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: Deleted user not found
+ */
+router.delete('/:id/purge', protect, requirePermission('users:delete'), purgeUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out by failed logins (requires users:unlock)
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', protect, requirePermission('users:unlock'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user (requires roles:assign)
+ *     tags:
+ *       - Users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: admin
+ *     responses:
+ *       200:
+ *         description: Role assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Role does not exist, or the user tried to change their own role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - missing permission
  *       404:
  *         description: User not found
  */
-router.delete('/:id', protect, authorize('admin'), deleteUser);
+router.put('/:id/role', protect, requirePermission('roles:assign'), assignRole);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks, getOpenIdConfiguration } = require('../controllers/wellKnownController');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set used to verify access tokens
+ *     description: Contains the active signing key and retired keys whose tokens may still be valid. Select the key by the token's kid header.
+ *     tags:
+ *       - Discovery
+ *     responses:
+ *       200:
+ *         description: JWK Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kid:
+ *                         type: string
+ *                       kty:
+ *                         type: string
+ *                       alg:
+ *                         type: string
+ *                       use:
+ *                         type: string
+ */
+router.get('/jwks.json', getJwks);
+
+/**
+ * @swagger
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Connect discovery document
+ *     description: Endpoints, scopes and algorithms of the OpenID Connect provider, so standard client libraries can configure themselves from the issuer URL. Only available when OAUTH_AUTHORIZE_URL is set.
+ *     tags:
+ *       - Discovery
+ *     responses:
+ *       200:
+ *         description: Provider metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 issuer:
+ *                   type: string
+ *                 authorization_endpoint:
+ *                   type: string
+ *                 token_endpoint:
+ *                   type: string
+ *                 userinfo_endpoint:
+ *                   type: string
+ *                 jwks_uri:
+ *                   type: string
+ *                 scopes_supported:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: Discovery is not enabled
+ */
+router.get('/openid-configuration', getOpenIdConfiguration);
+
+module.exports = router;
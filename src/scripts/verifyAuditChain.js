@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Check the audit hash chain and report the first broken link.
+//
+//   node src/scripts/verifyAuditChain.js [--checkpoint]
+//
+// --checkpoint signs the end of the chain after a successful check, for
+// deployments that schedule this script instead of running the server's
+// periodic checkpoints. Exits 0 when the chain is intact, 1 when it is
+// broken and 2 on errors. Uses MONGODB_URI and AUDIT_SIGNING_KEY.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { createCheckpoint, verifyAuditChain } = require('../utils/auditChain');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const report = await verifyAuditChain();
+
+    console.log(`Checked ${report.eventsChecked} events and ${report.checkpointsChecked} checkpoints`);
+    if (report.unverifiedCheckpoints) {
+      console.log(`Skipped ${report.unverifiedCheckpoints} checkpoints signed with another key`);
+    }
+
+    if (!report.valid) {
+      const { sequence, eventId, reason } = report.brokenAt;
+      console.error(`Chain is broken at event ${sequence}${eventId ? ` (${eventId})` : ''}: ${reason}`);
+      return 1;
+    }
+
+    console.log(`Chain is intact up to event ${report.lastSequence}`);
+
+    if (process.argv.includes('--checkpoint')) {
+      const checkpoint = await createCheckpoint();
+      console.log(checkpoint
+        ? `Signed checkpoint at event ${checkpoint.sequence}`
+        : 'No new events to checkpoint');
+    }
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,207 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const LoginEvent = require('../models/LoginEvent');
+const AuditEvent = require('../models/AuditEvent');
+const { purgeScheduledDeletions } = require('../utils/accountDeletion');
+const totp = require('../utils/totp');
+const { verifyAuditChain } = require('../utils/auditChain');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-deletion-${process.pid}`);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const testUser = {
+  name: 'Leaving User',
+  email: 'leaving@example.com',
+  password: 'password123'
+};
+
+describe('Account Deletion Tests', () => {
+  let token;
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await clearOutbox();
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    token = response.body.data.token;
+    userId = response.body.data.user._id;
+  });
+
+  afterEach(async () => {
+    delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  const deleteMe = (password = testUser.password) => {
+    return request(app)
+      .delete('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password });
+  };
+
+  const login = () => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+  };
+
+  // ==========================================
+  // DELETE /api/auth/me
+  // ==========================================
+  describe('DELETE /api/auth/me', () => {
+    it('should deactivate the account and schedule its deletion', async () => {
+      const response = await deleteMe().expect(200);
+
+      const scheduledFor = new Date(response.body.data.deletionScheduledFor).getTime();
+      expect(scheduledFor).toBeGreaterThan(Date.now() + 29 * DAY);
+      expect(scheduledFor).toBeLessThan(Date.now() + 31 * DAY);
+
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(false);
+      expect(user.deletionScheduledFor.getTime()).toBe(scheduledFor);
+
+      // Logged out everywhere
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      const emails = (await readOutbox()).filter(message => message.subject === 'Your account will be deleted');
+      expect(emails).toHaveLength(1);
+      expect(emails[0].to).toBe(testUser.email);
+    });
+
+    it('should use the configured grace period', async () => {
+      process.env.ACCOUNT_DELETION_GRACE_DAYS = '7';
+
+      const response = await deleteMe().expect(200);
+
+      const scheduledFor = new Date(response.body.data.deletionScheduledFor).getTime();
+      expect(scheduledFor).toBeLessThan(Date.now() + 8 * DAY);
+    });
+
+    it('should require the password', async () => {
+      await deleteMe('').expect(400);
+      await deleteMe('wrong-password').expect(401);
+
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(true);
+      expect(user.deletionScheduledFor).toBeNull();
+    });
+
+    it('should cancel the deletion when the user logs in', async () => {
+      await deleteMe().expect(200);
+
+      await login().expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(true);
+      expect(user.deletionScheduledFor).toBeNull();
+      expect(await AuditEvent.exists({ action: 'user.deletion.cancel' })).toBeTruthy();
+    });
+
+    it('should only cancel the deletion once the second factor is given', async () => {
+      const setup = await request(app)
+        .post('/api/auth/mfa/totp/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const { secret } = setup.body.data;
+      await request(app)
+        .post('/api/auth/mfa/totp/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totp.generateCode(secret) })
+        .expect(200);
+      await deleteMe().expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect((await User.findById(userId)).deletionScheduledFor).not.toBeNull();
+
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: response.body.data.mfaToken, code: totp.generateCode(secret, Date.now() + 30 * 1000) })
+        .expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(true);
+      expect(user.deletionScheduledFor).toBeNull();
+    });
+
+    it('should not reactivate accounts deactivated by an admin', async () => {
+      await User.updateOne({ _id: userId }, { isActive: false });
+
+      await login().expect(401);
+    });
+  });
+
+  // ==========================================
+  // Purge
+  // ==========================================
+  describe('Purge', () => {
+    const expireGracePeriod = () => {
+      return User.updateOne({ _id: userId }, { deletionScheduledFor: new Date(Date.now() - 1000) });
+    };
+
+    it('should purge accounts whose grace period is over', async () => {
+      const organization = await Organization.create({ name: 'Acme', createdBy: userId });
+      await Membership.create({ user: userId, organization: organization._id, role: 'owner' });
+
+      await deleteMe().expect(200);
+      expect(await purgeScheduledDeletions()).toBe(0);
+
+      await expireGracePeriod();
+      expect(await purgeScheduledDeletions()).toBe(1);
+
+      expect(await User.exists({ _id: userId })).toBeNull();
+      expect(await Membership.exists({ user: userId })).toBeNull();
+      expect(await LoginEvent.exists({ user: userId })).toBeNull();
+      expect((await Organization.findById(organization._id)).createdBy).toBeNull();
+
+      const purged = await AuditEvent.findOne({ action: 'user.purge' });
+      expect(purged.actor).toBeNull();
+      expect(purged.target).toEqual({ type: 'user', id: userId });
+    });
+
+    it('should keep the audit chain intact', async () => {
+      await deleteMe().expect(200);
+      await expireGracePeriod();
+      await purgeScheduledDeletions();
+
+      // Earlier events still name the user by id only
+      expect(await AuditEvent.exists({ action: 'auth.register', actor: userId })).toBeTruthy();
+      expect((await verifyAuditChain()).valid).toBe(true);
+    });
+
+    it('should allow registering again with the same email', async () => {
+      await deleteMe().expect(200);
+      await expireGracePeriod();
+      await purgeScheduledDeletions();
+
+      await request(app)
+        .post('/api/auth/register')
+        .send(testUser)
+        .expect(201);
+    });
+  });
+});
@@ -0,0 +1,335 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { createCheckpoint } = require('../utils/auditChain');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+const testUser = {
+  name: 'Regular User',
+  email: 'user@example.com',
+  password: 'user1234'
+};
+
+describe('Audit Log Tests', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create(testAdmin);
+    const user = await User.create(testUser);
+    userId = user._id.toString();
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+    userToken = userLogin.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const listEvents = (query = {}) => {
+    return request(app)
+      .get('/api/admin/audit-events')
+      .query(query)
+      .set('Authorization', `Bearer ${adminToken}`);
+  };
+
+  // ==========================================
+  // Recording
+  // ==========================================
+  describe('Recording', () => {
+    it('should record successful and failed logins with request details', async () => {
+      const failed = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'audit-test')
+        .set('X-Request-Id', 'req-123')
+        .send({ email: testUser.email, password: 'wrong-password' })
+        .expect(401);
+      expect(failed.headers['x-request-id']).toBe('req-123');
+
+      const event = await AuditEvent.findOne({ requestId: 'req-123' });
+      expect(event.action).toBe('auth.login');
+      expect(event.outcome).toBe('failure');
+      expect(event.actor).toBeNull();
+      expect(event.target).toEqual({ type: 'user', id: userId });
+      expect(event.userAgent).toBe('audit-test');
+      expect(event.ip).toBeDefined();
+      expect(event.details.reason).toBe('invalid_password');
+
+      const successes = await AuditEvent.find({ action: 'auth.login', outcome: 'success', actor: userId });
+      expect(successes).toHaveLength(1);
+    });
+
+    it('should keep the email tried for unknown accounts', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+
+      const event = await AuditEvent.findOne({ 'details.reason': 'unknown_email' });
+      expect(event.details.email).toBe('nobody@example.com');
+    });
+
+    it('should record registration and logout', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'New User', email: 'new@example.com', password: 'password123' })
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${registered.body.data.token}`)
+        .expect(200);
+
+      const actions = (await AuditEvent.find({ actor: registered.body.data.user._id }).sort('sequence'))
+        .map(event => event.action);
+      expect(actions).toEqual(['auth.register', 'auth.logout']);
+    });
+
+    it('should record who deleted a user', async () => {
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const admin = await User.findOne({ email: testAdmin.email });
+      const event = await AuditEvent.findOne({ action: 'user.delete' });
+      expect(event.actor.toString()).toBe(admin._id.toString());
+      expect(event.target.id).toBe(userId);
+    });
+
+    it('should record role changes and refused updates', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'support', permissions: ['users:read'] })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'support' })
+        .expect(200);
+
+      const assigned = await AuditEvent.findOne({ action: 'user.role.assign' });
+      expect(assigned.details).toEqual({ from: 'user', to: 'support' });
+      expect(await AuditEvent.exists({ action: 'role.create' })).toBeTruthy();
+
+      const admin = await User.findOne({ email: testAdmin.email });
+      await User.updateOne({ _id: userId }, { emailVerified: true });
+      await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Hacked' })
+        .expect(403);
+
+      const refused = await AuditEvent.findOne({ action: 'user.update' });
+      expect(refused.outcome).toBe('failure');
+      expect(refused.actor.toString()).toBe(userId);
+    });
+
+    it('should not allow changing or deleting events', async () => {
+      const event = await AuditEvent.findOne();
+
+      await expect(AuditEvent.updateOne({ _id: event._id }, { outcome: 'failure' })).rejects.toThrow();
+      await expect(AuditEvent.deleteMany({})).rejects.toThrow();
+
+      event.outcome = 'failure';
+      await expect(event.save()).rejects.toThrow();
+    });
+
+    it('should fail the request when the event cannot be written', async () => {
+      const append = jest.spyOn(AuditEvent, 'append').mockRejectedValue(new Error('E11000 duplicate key error'));
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const response = await request(app)
+          .delete(`/api/users/${userId}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(500);
+
+        expect(response.body.message).toBe('Failed to record the audit event');
+      } finally {
+        append.mockRestore();
+        consoleError.mockRestore();
+      }
+    });
+  });
+
+  // ==========================================
+  // Admin endpoint
+  // ==========================================
+  describe('GET /api/admin/audit-events', () => {
+    it('should list events newest first', async () => {
+      const response = await listEvents().expect(200);
+
+      expect(response.body.total).toBe(2);
+      expect(response.body.data[0].actor).toBe(userId);
+    });
+
+    it('should filter events', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'wrong-password' });
+
+      const failures = await listEvents({ action: 'auth.*', outcome: 'failure' }).expect(200);
+      expect(failures.body.total).toBe(1);
+
+      const forUser = await listEvents({ targetType: 'user', targetId: userId }).expect(200);
+      expect(forUser.body.total).toBe(2);
+
+      const none = await listEvents({ from: new Date(Date.now() + 60 * 1000).toISOString() }).expect(200);
+      expect(none.body.total).toBe(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      await listEvents({ outcome: 'maybe' }).expect(400);
+      await listEvents({ actor: 'not-an-id' }).expect(400);
+    });
+
+    it('should require the audit:read permission', async () => {
+      await request(app)
+        .get('/api/admin/audit-events')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should export events as NDJSON, oldest first', async () => {
+      const response = await request(app)
+        .get('/api/admin/audit-events/export')
+        .query({ action: 'auth.login' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+
+      const events = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(events.map(event => event.target.id)).toEqual([
+        (await User.findOne({ email: testAdmin.email }))._id.toString(),
+        userId
+      ]);
+    });
+  });
+
+  // ==========================================
+  // Hash chain
+  // ==========================================
+  describe('Hash chain', () => {
+    const verify = async () => {
+      const response = await request(app)
+        .get('/api/admin/audit-events/verify')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      return response.body.data;
+    };
+
+    // Writes straight to the collection, as someone with database access
+    // would, bypassing the model's append-only hooks
+    const tamper = () => AuditEvent.collection;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'wrong-password' });
+    });
+
+    it('should link every event to the previous one', async () => {
+      const events = await AuditEvent.find().sort('sequence');
+
+      expect(events.map(event => event.sequence)).toEqual([1, 2, 3]);
+      expect(events[0].previousHash).toBe(AuditEvent.GENESIS_HASH);
+      expect(events[1].previousHash).toBe(events[0].hash);
+      expect(events[2].previousHash).toBe(events[1].hash);
+
+      const report = await verify();
+      expect(report.valid).toBe(true);
+      expect(report.eventsChecked).toBe(3);
+    });
+
+    it('should report an edited event', async () => {
+      await tamper().updateOne({ sequence: 2 }, { $set: { outcome: 'failure' } });
+
+      const report = await verify();
+      expect(report.valid).toBe(false);
+      expect(report.brokenAt.sequence).toBe(2);
+      expect(report.brokenAt.reason).toMatch(/hash/);
+    });
+
+    it('should report a removed event', async () => {
+      await tamper().deleteOne({ sequence: 2 });
+
+      const report = await verify();
+      expect(report.brokenAt).toEqual(expect.objectContaining({ sequence: 2, reason: 'Event 2 is missing' }));
+    });
+
+    it('should detect a truncated chain with signed checkpoints', async () => {
+      const checkpoint = await createCheckpoint();
+      expect(checkpoint.sequence).toBe(3);
+      expect(await createCheckpoint()).toBeNull();
+
+      await tamper().deleteOne({ sequence: 3 });
+
+      const report = await verify();
+      expect(report.valid).toBe(false);
+      expect(report.brokenAt.sequence).toBe(3);
+    });
+
+    it('should reject a forged checkpoint', async () => {
+      const checkpoint = await createCheckpoint();
+      await AuditCheckpoint.collection.updateOne(
+        { _id: checkpoint._id },
+        { $set: { sequence: 2 } }
+      );
+
+      const report = await verify();
+      expect(report.valid).toBe(false);
+      expect(report.brokenAt.reason).toMatch(/invalid signature/);
+    });
+  });
+
+  // ==========================================
+  // Signing key
+  // ==========================================
+  describe('Signing key', () => {
+    it('should be required in production', () => {
+      const { NODE_ENV, AUDIT_SIGNING_KEY } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.AUDIT_SIGNING_KEY;
+
+      try {
+        jest.isolateModules(() => {
+          const { getSigningKey } = require('../utils/auditChain');
+          expect(getSigningKey).toThrow('AUDIT_SIGNING_KEY must be set in production');
+        });
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (AUDIT_SIGNING_KEY !== undefined) process.env.AUDIT_SIGNING_KEY = AUDIT_SIGNING_KEY;
+      }
+    });
+  });
+});
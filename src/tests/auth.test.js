@@ -1,6 +1,9 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { app } = require('../../app');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
 const dbHandler = require('./setup');
 
 // Mock data
@@ -237,6 +240,122 @@ describe('Authentication Tests', () => {
     });
   });
 
+  // ==========================================
+  // POST /api/auth/refresh - Refresh Token Tests
+  // ==========================================
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(testUser);
+
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should issue a new token pair for a valid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should keep rotated tokens in the same family', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const records = await RefreshToken.find();
+      expect(records).toHaveLength(2);
+      expect(records[0].family).toBe(records[1].family);
+
+      const used = records.find(record => record.usedAt);
+      const next = records.find(record => !record.usedAt);
+      expect(used.replacedBy).toBe(next.jti);
+      expect(response.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.success).toBe(false);
+      expect(reuse.body.message).toBe('Refresh token reuse detected. Please log in again.');
+
+      // The legitimate successor is now revoked as well
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should not affect token families from other logins', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+
+      await request(app).post('/api/auth/refresh').send({ refreshToken });
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(200);
+    });
+
+    it('should fail without a refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Please provide a refresh token');
+    });
+
+    it('should fail with an invalid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'invalid_token' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should fail if the user is inactive', async () => {
+      await User.updateOne({ email: testUser.email }, { isActive: false });
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   // ==========================================
   // GET /api/auth/me - Get Current User Tests
   // ==========================================
@@ -328,6 +447,7 @@ describe('Authentication Tests', () => {
   // ==========================================
   describe('POST /api/auth/logout', () => {
     let token;
+    let refreshToken;
 
     beforeEach(async () => {
       const response = await request(app)
@@ -335,6 +455,7 @@ describe('Authentication Tests', () => {
         .send(testUser);
       
       token = response.body.data.token;
+      refreshToken = response.body.data.refreshToken;
     });
 
     it('should logout successfully with valid token', async () => {
@@ -347,6 +468,48 @@ describe('Authentication Tests', () => {
       expect(response.body.message).toBe('Logged out successfully');
     });
 
+    it('should revoke the access token on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Token has been revoked');
+    });
+
+    it('should revoke the refresh token when it is provided', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should store revocation records that expire with the token', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { jti, exp } = jwt.decode(token);
+      const record = await RevokedToken.findOne({ jti });
+      expect(record).not.toBeNull();
+      expect(record.expiresAt.getTime()).toBe(exp * 1000);
+    });
+
     it('should fail to logout without token', async () => {
       const response = await request(app)
         .post('/api/auth/logout')
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Password User',
+  email: 'password@example.com',
+  password: 'password123'
+};
+
+describe('Change Password Tests', () => {
+  let token;
+  let refreshToken;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    token = response.body.data.token;
+    refreshToken = response.body.data.refreshToken;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const changePassword = (body, authToken = token) => {
+    return request(app)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send(body);
+  };
+
+  // ==========================================
+  // PUT /api/auth/password
+  // ==========================================
+  describe('PUT /api/auth/password', () => {
+    it('should change the password and return a new token pair', async () => {
+      const response = await changePassword({
+        currentPassword: testUser.password,
+        newPassword: 'newPassword456'
+      }).expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Password changed successfully');
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'newPassword456' })
+        .expect(200);
+    });
+
+    it('should store passwordChangedAt', async () => {
+      await changePassword({
+        currentPassword: testUser.password,
+        newPassword: 'newPassword456'
+      }).expect(200);
+
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.passwordChangedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject tokens issued before the change', async () => {
+      await changePassword({
+        currentPassword: testUser.password,
+        newPassword: 'newPassword456'
+      }).expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should accept the token returned by the change', async () => {
+      const response = await changePassword({
+        currentPassword: testUser.password,
+        newPassword: 'newPassword456'
+      }).expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should fail with an incorrect current password', async () => {
+      const response = await changePassword({
+        currentPassword: 'wrongpassword',
+        newPassword: 'newPassword456'
+      }).expect(401);
+
+      expect(response.body.message).toBe('Current password is incorrect');
+    });
+
+    it('should enforce the password policy', async () => {
+      const response = await changePassword({
+        currentPassword: testUser.password,
+        newPassword: 'lettersonly'
+      }).expect(400);
+
+      expect(response.body.message).toContain('at least one letter and one number');
+    });
+
+    it('should reject reusing the current password', async () => {
+      const response = await changePassword({
+        currentPassword: testUser.password,
+        newPassword: testUser.password
+      }).expect(400);
+
+      expect(response.body.message).toContain('must be different');
+    });
+
+    it('should fail with missing fields', async () => {
+      await changePassword({ newPassword: 'newPassword456' }).expect(400);
+    });
+
+    it('should fail without authentication', async () => {
+      await request(app)
+        .put('/api/auth/password')
+        .send({ currentPassword: testUser.password, newPassword: 'newPassword456' })
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const createConsoleTransport = require('../utils/mail/consoleTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-verification-${process.pid}`);
+
+const testUser = {
+  name: 'Verify User',
+  email: 'verify@example.com',
+  password: 'password123'
+};
+
+// Pull the token out of the link in the latest verification email
+const latestVerificationToken = async () => {
+  const messages = await readOutbox();
+  const { text } = messages[messages.length - 1];
+  return decodeURIComponent(text.match(/token=([^\s]+)/)[1]);
+};
+
+describe('Email Verification Tests', () => {
+  let token;
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await clearOutbox();
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    token = response.body.data.token;
+    userId = response.body.data.user._id;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  // ==========================================
+  // Registration
+  // ==========================================
+  describe('Registration', () => {
+    it('should register users as unverified', async () => {
+      const user = await User.findById(userId);
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should email a verification link', async () => {
+      const messages = await readOutbox();
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].to).toBe(testUser.email);
+      expect(messages[0].subject).toBe('Verify your email address');
+      expect(messages[0].text).toContain('/api/auth/verify-email?token=');
+    });
+  });
+
+  // ==========================================
+  // GET/POST /api/auth/verify-email
+  // ==========================================
+  describe('Verify email', () => {
+    it('should verify the email through the emailed link', async () => {
+      const verificationToken = await latestVerificationToken();
+
+      const response = await request(app)
+        .get('/api/auth/verify-email')
+        .query({ token: verificationToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Email verified successfully');
+      expect(response.body.data.emailVerified).toBe(true);
+    });
+
+    it('should verify the email with a POST request', async () => {
+      const verificationToken = await latestVerificationToken();
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken })
+        .expect(200);
+
+      const user = await User.findById(userId);
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should only accept a token once', async () => {
+      const verificationToken = await latestVerificationToken();
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired verification token');
+    });
+
+    it('should reject an access token in place of a verification token', async () => {
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should fail without a token', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({})
+        .expect(400);
+
+      expect(response.body.message).toBe('Please provide a verification token');
+    });
+  });
+
+  // ==========================================
+  // POST /api/auth/verify-email/resend
+  // ==========================================
+  describe('Resend verification email', () => {
+    it('should throttle resends', async () => {
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+      expect(await readOutbox()).toHaveLength(1);
+    });
+
+    it('should send a new link and invalidate the old one', async () => {
+      const oldToken = await latestVerificationToken();
+      await User.updateOne({ _id: userId }, { emailVerificationSentAt: new Date(Date.now() - 2 * 60 * 1000) });
+
+      await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await readOutbox()).toHaveLength(2);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: oldToken })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: await latestVerificationToken() })
+        .expect(200);
+    });
+
+    it('should refuse when the email is already verified', async () => {
+      await User.updateOne({ _id: userId }, { emailVerified: true });
+
+      const response = await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Email is already verified');
+    });
+  });
+
+  // ==========================================
+  // Mail transports
+  // ==========================================
+  describe('Mail transports', () => {
+    it('should print messages with the console transport', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await createConsoleTransport().send({ to: 'a@example.com', subject: 'Hello', text: 'Body' });
+
+      expect(log).toHaveBeenCalledWith('--- Mail to a@example.com: Hello ---');
+      expect(log).toHaveBeenCalledWith('Body');
+      log.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,291 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Invitation = require('../models/Invitation');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-invitation-${process.pid}`);
+
+const owner = { name: 'Olivia Owner', email: 'owner@example.com', password: 'password123' };
+const existing = { name: 'Erin Existing', email: 'existing@example.com', password: 'password123' };
+
+// Pull the invite token out of the latest invitation sent to an address
+const latestInviteToken = async (to) => {
+  const messages = (await readOutbox()).filter(message => message.to === to);
+  const { text } = messages[messages.length - 1];
+  return text.match(/token=([a-f0-9]+)/)[1];
+};
+
+describe('Invitation Tests', () => {
+  let ownerToken;
+  let existingToken;
+  let orgId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await clearOutbox();
+
+    for (const person of [owner, existing]) {
+      await User.create(person);
+    }
+
+    const ownerLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: owner.email, password: owner.password });
+    ownerToken = ownerLogin.body.data.token;
+
+    const existingLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: existing.email, password: existing.password });
+    existingToken = existingLogin.body.data.token;
+
+    const org = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Acme Inc.' });
+    orgId = org.body.data._id;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  const invite = (body, authToken = ownerToken) => {
+    return request(app)
+      .post('/api/invitations')
+      .set('Authorization', `Bearer ${authToken}`)
+      .set('X-Organization-Id', orgId)
+      .send(body);
+  };
+
+  // ==========================================
+  // Issuing invitations
+  // ==========================================
+  describe('POST /api/invitations', () => {
+    it('should email an invite link and store only a hash of the token', async () => {
+      const response = await invite({ email: 'New@Example.com', role: 'admin' }).expect(201);
+
+      expect(response.body.data.email).toBe('new@example.com');
+      expect(response.body.data.tokenHash).toBeUndefined();
+
+      const token = await latestInviteToken('new@example.com');
+      const stored = await Invitation.findOne().select('+tokenHash');
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should require an active organization', async () => {
+      await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'new@example.com' })
+        .expect(400);
+    });
+
+    it('should not let plain members invite', async () => {
+      const user = await User.findOne({ email: existing.email });
+      await Membership.create({ user: user._id, organization: orgId });
+
+      await invite({ email: 'new@example.com' }, existingToken).expect(403);
+    });
+
+    it('should reject duplicates and existing members', async () => {
+      await invite({ email: 'new@example.com' }).expect(201);
+      await invite({ email: 'new@example.com' }).expect(409);
+      await invite({ email: owner.email }).expect(409);
+    });
+
+    it('should reject invalid emails and roles', async () => {
+      await invite({ email: 'not-an-email' }).expect(400);
+      await invite({ email: 'new@example.com', role: 'superadmin' }).expect(400);
+    });
+  });
+
+  // ==========================================
+  // Managing invitations
+  // ==========================================
+  describe('Managing invitations', () => {
+    let invitationId;
+
+    beforeEach(async () => {
+      const response = await invite({ email: 'new@example.com' });
+      invitationId = response.body.data._id;
+    });
+
+    it('should list pending invitations', async () => {
+      const response = await request(app)
+        .get('/api/invitations')
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].invitedBy.email).toBe(owner.email);
+    });
+
+    it('should resend with a new link that replaces the old one', async () => {
+      const oldToken = await latestInviteToken('new@example.com');
+      await Invitation.updateOne({ _id: invitationId }, { sentAt: new Date(Date.now() - 2 * 60 * 1000) });
+
+      await request(app)
+        .post(`/api/invitations/${invitationId}/resend`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(200);
+
+      const newToken = await latestInviteToken('new@example.com');
+      expect(newToken).not.toBe(oldToken);
+
+      await request(app).get('/api/invitations/accept').query({ token: oldToken }).expect(400);
+      await request(app).get('/api/invitations/accept').query({ token: newToken }).expect(200);
+    });
+
+    it('should throttle resends', async () => {
+      const response = await request(app)
+        .post(`/api/invitations/${invitationId}/resend`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should revoke an invitation', async () => {
+      const token = await latestInviteToken('new@example.com');
+
+      await request(app)
+        .delete(`/api/invitations/${invitationId}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .set('X-Organization-Id', orgId)
+        .expect(200);
+
+      await request(app).get('/api/invitations/accept').query({ token }).expect(400);
+    });
+
+    it('should not accept expired invitations', async () => {
+      const token = await latestInviteToken('new@example.com');
+      await Invitation.updateOne({ _id: invitationId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'New User', password: 'password123' })
+        .expect(400);
+    });
+
+    it('should let MongoDB expire invitations', async () => {
+      const indexes = await Invitation.collection.indexes();
+      const ttl = indexes.find(index => index.key.expiresAt);
+      expect(ttl.expireAfterSeconds).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Accepting invitations
+  // ==========================================
+  describe('Accepting invitations', () => {
+    it('should create an account with the chosen password', async () => {
+      await invite({ email: 'new@example.com', role: 'admin' });
+      const token = await latestInviteToken('new@example.com');
+
+      const preview = await request(app).get('/api/invitations/accept').query({ token }).expect(200);
+      expect(preview.body.data).toMatchObject({ email: 'new@example.com', accountExists: false });
+      expect(preview.body.data.organization.name).toBe('Acme Inc.');
+
+      const response = await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'New User', password: 'password123' })
+        .expect(201);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      const membership = await Membership.findOne({ user: response.body.data.user._id, organization: orgId });
+      expect(membership.role).toBe('admin');
+      expect(await Invitation.countDocuments()).toBe(0);
+
+      // The link works only once
+      await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'New User', password: 'password123' })
+        .expect(400);
+    });
+
+    it('should apply the password policy', async () => {
+      await invite({ email: 'new@example.com' });
+      const token = await latestInviteToken('new@example.com');
+
+      await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'New User', password: 'short' })
+        .expect(400);
+    });
+
+    it('should send existing accounts to log in and join', async () => {
+      await invite({ email: existing.email });
+      const token = await latestInviteToken(existing.email);
+
+      await request(app)
+        .post('/api/invitations/accept')
+        .send({ token, name: 'Someone', password: 'password123' })
+        .expect(409);
+
+      const response = await request(app)
+        .post('/api/invitations/join')
+        .set('Authorization', `Bearer ${existingToken}`)
+        .send({ token })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('member');
+      const user = await User.findOne({ email: existing.email });
+      expect(await Membership.exists({ user: user._id, organization: orgId })).toBeTruthy();
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should not let another account join with the invitation', async () => {
+      await invite({ email: 'new@example.com' });
+      const token = await latestInviteToken('new@example.com');
+
+      const response = await request(app)
+        .post('/api/invitations/join')
+        .set('Authorization', `Bearer ${existingToken}`)
+        .send({ token })
+        .expect(403);
+
+      expect(response.body.message).toBe('This invitation was sent to a different email address');
+    });
+
+    it('should not join with a personal access token', async () => {
+      await invite({ email: existing.email });
+      const token = await latestInviteToken(existing.email);
+      const created = await request(app)
+        .post('/api/auth/tokens')
+        .set('Authorization', `Bearer ${existingToken}`)
+        .send({ name: 'CI', scopes: ['*'] })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/invitations/join')
+        .set('Authorization', `Bearer ${created.body.data.token}`)
+        .send({ token })
+        .expect(403);
+
+      expect(response.body.message).toBe('This route requires logging in with a password');
+      const user = await User.findOne({ email: existing.email });
+      expect(await Membership.exists({ user: user._id, organization: orgId })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../../app');
+const SigningKey = require('../models/SigningKey');
+const keyStore = require('../utils/keyStore');
+const { generateToken, verifyAccessToken } = require('../utils/generateToken');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+describe('Signing Key Tests', () => {
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await dbHandler.clearDatabase();
+    await keyStore.initialize();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+  // ==========================================
+  // Key set management
+  // ==========================================
+  describe('Key store', () => {
+    it('should persist an active key on initialization', async () => {
+      const records = await SigningKey.find({ retiredAt: null });
+
+      expect(records).toHaveLength(1);
+      expect(records[0].kid).toBe(keyStore.getSigningKey().kid);
+      expect(records[0].privateKey).toBeUndefined();
+    });
+
+    it('should not rotate on initialization while the active key is fresh', async () => {
+      const { kid } = keyStore.getSigningKey();
+
+      await keyStore.initialize();
+
+      expect(keyStore.getSigningKey().kid).toBe(kid);
+    });
+
+    it('should rotate once the active key is older than the rotation interval', async () => {
+      const { kid } = keyStore.getSigningKey();
+      await SigningKey.collection.updateOne(
+        { kid },
+        { $set: { createdAt: new Date(Date.now() - keyStore.ROTATION_INTERVAL - 1000) } }
+      );
+
+      await keyStore.initialize();
+
+      expect(keyStore.getSigningKey().kid).not.toBe(kid);
+    });
+
+    it('should keep verifying tokens signed with a retired key', async () => {
+      const oldToken = generateToken('507f1f77bcf86cd799439011');
+
+      await keyStore.rotate();
+      const newToken = generateToken('507f1f77bcf86cd799439011');
+
+      expect(kidOf(newToken)).not.toBe(kidOf(oldToken));
+      await expect(verifyAccessToken(oldToken)).resolves.toHaveProperty('id');
+      await expect(verifyAccessToken(newToken)).resolves.toHaveProperty('id');
+    });
+
+    it('should stop verifying tokens once the retention period has passed', async () => {
+      const oldToken = generateToken('507f1f77bcf86cd799439011');
+
+      await keyStore.rotate();
+      await SigningKey.collection.updateOne(
+        { kid: kidOf(oldToken) },
+        { $set: { retiredAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } }
+      );
+      await keyStore.initialize();
+
+      await expect(verifyAccessToken(oldToken)).rejects.toThrow('unknown signing key');
+    });
+  });
+
+  // ==========================================
+  // GET /.well-known/jwks.json
+  // ==========================================
+  describe('GET /.well-known/jwks.json', () => {
+    it('should publish the active public key', async () => {
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      expect(response.body.keys).toHaveLength(1);
+
+      const [key] = response.body.keys;
+      expect(key.kid).toBe(keyStore.getSigningKey().kid);
+      expect(key.use).toBe('sig');
+      expect(key).not.toHaveProperty('d');
+    });
+
+    it('should include retired keys that may still have valid tokens', async () => {
+      const { kid } = keyStore.getSigningKey();
+      await keyStore.rotate();
+
+      const response = await request(app)
+        .get('/.well-known/jwks.json')
+        .expect(200);
+
+      const kids = response.body.keys.map(key => key.kid);
+      expect(kids).toHaveLength(2);
+      expect(kids).toContain(kid);
+    });
+
+    it('should let a third party verify tokens with the published key', async () => {
+      const token = generateToken('507f1f77bcf86cd799439011');
+      const response = await request(app).get('/.well-known/jwks.json');
+
+      const jwk = response.body.keys.find(key => key.kid === kidOf(token));
+      const publicKey = require('crypto').createPublicKey({ key: jwk, format: 'jwk' });
+
+      expect(jwt.verify(token, publicKey).id).toBe('507f1f77bcf86cd799439011');
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Lockout User',
+  email: 'lockout@example.com',
+  password: 'password123'
+};
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin-lockout@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+describe('Account Lockout Tests', () => {
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+    userId = response.body.data.user._id;
+  });
+
+  afterEach(async () => {
+    delete process.env.LOGIN_IP_FREE_ATTEMPTS;
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const login = (password, email = testUser.email) => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+  };
+
+  const failTimes = async (times) => {
+    for (let i = 0; i < times; i++) {
+      await login('wrongpassword').expect(401);
+    }
+  };
+
+  // ==========================================
+  // Progressive delays
+  // ==========================================
+  describe('Progressive delays', () => {
+    // The shared test setup turns the delay off
+    let baseDelay;
+
+    beforeEach(() => {
+      baseDelay = process.env.LOGIN_DELAY_BASE_MS;
+      process.env.LOGIN_DELAY_BASE_MS = '1000';
+    });
+
+    afterEach(() => {
+      process.env.LOGIN_DELAY_BASE_MS = baseDelay;
+    });
+
+    it('should make the client wait after a failed attempt', async () => {
+      await login('wrongpassword').expect(401);
+
+      const response = await login(testUser.password).expect(429);
+
+      expect(response.body.message).toBe('Too many failed login attempts. Please wait before trying again.');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('should double the delay with every failure', async () => {
+      await User.updateOne(
+        { _id: userId },
+        { failedLoginAttempts: 3, lastFailedLoginAt: new Date(Date.now() - 2000) }
+      );
+
+      // 3 failures require 4 seconds; only 2 have passed
+      const response = await login(testUser.password).expect(429);
+      expect(Number(response.headers['retry-after'])).toBe(2);
+    });
+
+    it('should let the client retry once the delay has passed', async () => {
+      await User.updateOne(
+        { _id: userId },
+        { failedLoginAttempts: 1, lastFailedLoginAt: new Date(Date.now() - 1500) }
+      );
+
+      await login(testUser.password).expect(200);
+    });
+
+    it('should slow down an IP that fails against many accounts', async () => {
+      process.env.LOGIN_IP_FREE_ATTEMPTS = '2';
+
+      await login('whatever', 'first@example.com').expect(401);
+      await login('whatever', 'second@example.com').expect(401);
+
+      // The account itself has no failures, but the IP does
+      await login(testUser.password).expect(429);
+    });
+
+    it('should track failures for unknown emails by IP', async () => {
+      await login('whatever', 'unknown@example.com').expect(401);
+
+      const record = await LoginThrottle.findOne();
+      expect(record.failures).toBe(1);
+    });
+
+    it('should halve the IP failure count after a successful login', async () => {
+      for (const email of ['first@example.com', 'second@example.com', 'third@example.com', 'fourth@example.com', 'fifth@example.com']) {
+        await login('whatever', email).expect(401);
+      }
+
+      await login(testUser.password).expect(200);
+      expect((await LoginThrottle.findOne()).failures).toBe(2);
+
+      await login(testUser.password).expect(200);
+      expect((await LoginThrottle.findOne()).failures).toBe(1);
+    });
+  });
+
+  // ==========================================
+  // Lockout
+  // ==========================================
+  describe('Lockout', () => {
+    it('should lock the account after the threshold', async () => {
+      await failTimes(5);
+
+      const response = await login(testUser.password).expect(423);
+
+      expect(response.body.message).toContain('temporarily locked');
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(14 * 60);
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      await failTimes(4);
+      await login(testUser.password).expect(200);
+      await failTimes(4);
+
+      await login(testUser.password).expect(200);
+    });
+
+    it('should allow logins again once the lock expires', async () => {
+      await failTimes(5);
+      await User.updateOne({ _id: userId }, { lockUntil: new Date(Date.now() - 1000) });
+
+      await login(testUser.password).expect(200);
+    });
+  });
+
+  // ==========================================
+  // Admin unlock and lock state
+  // ==========================================
+  describe('Admin', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      await User.create(testAdmin);
+      const response = await login(testAdmin.password, testAdmin.email);
+      adminToken = response.body.data.token;
+    });
+
+    it('should show the lock state to admins', async () => {
+      await failTimes(5);
+
+      const response = await request(app)
+        .get(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.isLocked).toBe(true);
+      expect(response.body.data.lockUntil).toBeDefined();
+      expect(response.body.data).toHaveProperty('failedLoginAttempts');
+    });
+
+    it('should include the lock state in the admin user list', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      response.body.data.forEach(user => {
+        expect(user).toHaveProperty('isLocked');
+      });
+    });
+
+    it('should not show the lock state to the user', async () => {
+      const { body } = await login(testUser.password);
+
+      const response = await request(app)
+        .get(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(200);
+
+      expect(response.body.data).not.toHaveProperty('isLocked');
+      expect(response.body.data).not.toHaveProperty('failedLoginAttempts');
+      expect(body.data.user).not.toHaveProperty('failedLoginAttempts');
+    });
+
+    it('should let an admin unlock an account', async () => {
+      await failTimes(5);
+
+      const response = await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('User unlocked successfully');
+      expect(response.body.data.isLocked).toBe(false);
+
+      await login(testUser.password).expect(200);
+    });
+
+    it('should return 404 when unlocking an invalid id', async () => {
+      await request(app)
+        .post('/api/users/invalid-id/unlock')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should not let a regular user unlock accounts', async () => {
+      const { body } = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+
+      await request(app)
+        .post(`/api/users/${userId}/unlock`)
+        .set('Authorization', `Bearer ${body.data.token}`)
+        .expect(403);
+    });
+  });
+});
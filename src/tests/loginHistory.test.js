@@ -0,0 +1,272 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { networkOf } = require('../utils/loginHistory');
+const totp = require('../utils/totp');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-login-history-${process.pid}`);
+
+const testUser = {
+  name: 'History User',
+  email: 'history@example.com',
+  password: 'password123'
+};
+
+const LAPTOP = 'Mozilla/5.0 (X11; Linux x86_64) Laptop';
+const PHONE = 'Mozilla/5.0 (iPhone) <b>Phone</b>';
+
+const emailsWithSubject = async (subject) => {
+  return (await readOutbox()).filter(message => message.subject === subject);
+};
+
+// Pull the token out of the latest new device email
+const latestNotMeToken = async () => {
+  const messages = await emailsWithSubject('New login to your account');
+  const { text } = messages[messages.length - 1];
+  return decodeURIComponent(text.match(/not-me\?token=(\S+)/)[1]);
+};
+
+describe('Login History Tests', () => {
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await clearOutbox();
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  const register = async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .set('User-Agent', LAPTOP)
+      .send(testUser)
+      .expect(201);
+    return response.body.data.token;
+  };
+
+  const login = (userAgent, password = testUser.password) => {
+    return request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: testUser.email, password });
+  };
+
+  describe('GET /api/auth/login-history', () => {
+    it('should list successful and failed logins newest first', async () => {
+      await register();
+      await login(LAPTOP, 'wrong-password').expect(401);
+      const response = await login(LAPTOP).expect(200);
+
+      const history = await request(app)
+        .get('/api/auth/login-history')
+        .set('User-Agent', LAPTOP)
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      expect(history.body.total).toBe(3);
+      expect(history.body.data.map(event => event.outcome)).toEqual(['success', 'failure', 'success']);
+      expect(history.body.data[1].reason).toBe('invalid_password');
+      expect(history.body.data[2].method).toBe('registration');
+      expect(history.body.data[0].thisDevice).toBe(true);
+      expect(history.body.data[0].user).toBeUndefined();
+
+      const failures = await request(app)
+        .get('/api/auth/login-history')
+        .query({ outcome: 'failure' })
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+      expect(failures.body.total).toBe(1);
+    });
+
+    it('should record a two-factor login once, when it completes', async () => {
+      const token = await register();
+      const setup = await request(app)
+        .post('/api/auth/mfa/totp/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      const { secret } = setup.body.data;
+      await request(app)
+        .post('/api/auth/mfa/totp/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: totp.generateCode(secret) })
+        .expect(200);
+
+      const first = await login(LAPTOP).expect(200);
+      expect(await LoginEvent.countDocuments({ method: 'password' })).toBe(0);
+
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .set('User-Agent', LAPTOP)
+        .send({ mfaToken: first.body.data.mfaToken, code: '000000' })
+        .expect(401);
+
+      const second = await login(LAPTOP).expect(200);
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .set('User-Agent', LAPTOP)
+        .send({ mfaToken: second.body.data.mfaToken, code: totp.generateCode(secret, Date.now() + 30 * 1000) })
+        .expect(200);
+
+      const history = await LoginEvent.find({ method: 'password' }).sort('createdAt');
+      expect(history.map(event => event.outcome)).toEqual(['failure', 'success']);
+      expect(history[0].reason).toBe('invalid_mfa_code');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/auth/login-history')
+        .expect(401);
+    });
+  });
+
+  describe('New device alerts', () => {
+    it('should not alert for the device the account was created on', async () => {
+      await register();
+      await login(LAPTOP).expect(200);
+
+      expect(await emailsWithSubject('New login to your account')).toHaveLength(0);
+      const event = await LoginEvent.findOne({ method: 'password' });
+      expect(event.newDevice).toBe(false);
+    });
+
+    it('should alert once for a login from a new device', async () => {
+      await register();
+      await login(PHONE, 'wrong-password').expect(401);
+      expect(await emailsWithSubject('New login to your account')).toHaveLength(0);
+
+      await login(PHONE).expect(200);
+      await login(PHONE).expect(200);
+
+      const alerts = await emailsWithSubject('New login to your account');
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].to).toBe(testUser.email);
+      expect(alerts[0].text).toContain(PHONE);
+      expect(alerts[0].html).toContain('&lt;b&gt;Phone&lt;/b&gt;');
+    });
+
+    it('should not alert on the first login of an account without history', async () => {
+      await User.create(testUser);
+      await login(PHONE).expect(200);
+
+      expect(await emailsWithSubject('New login to your account')).toHaveLength(0);
+    });
+
+    it('should group addresses by network', () => {
+      expect(networkOf('203.0.113.42')).toBe('203.0.113.0/24');
+      expect(networkOf('::ffff:203.0.113.42')).toBe('203.0.113.0/24');
+      expect(networkOf('2001:db8:1:2:3:4:5:6')).toBe('2001:db8:1:2::/64');
+      expect(networkOf('2001:db8::1')).toBe('2001:db8:0:0::/64');
+      expect(networkOf(undefined)).toBeNull();
+    });
+  });
+
+  describe('/api/auth/not-me', () => {
+    it('should only ask for confirmation when the link is opened', async () => {
+      const laptopToken = await register();
+      await login(PHONE).expect(200);
+      const token = await latestNotMeToken();
+
+      const response = await request(app)
+        .get('/api/auth/not-me')
+        .query({ token })
+        .expect('Content-Type', /html/)
+        .expect(200);
+      expect(response.text).toContain('<form method="post" action="not-me">');
+      expect(response.text).toContain(`value="${token}"`);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(200);
+      expect(await LoginEvent.exists({ reportedAt: { $ne: null } })).toBeNull();
+    });
+
+    it('should log out every session and require a password reset', async () => {
+      const laptopToken = await register();
+      await PersonalAccessToken.issue((await User.findOne({ email: testUser.email }))._id, {
+        name: 'CI',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      await login(PHONE).expect(200);
+      const token = await latestNotMeToken();
+
+      // As sent by the confirmation page
+      const response = await request(app)
+        .post('/api/auth/not-me')
+        .type('form')
+        .send({ token })
+        .expect(200);
+      expect(response.body.success).toBe(true);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptopToken}`)
+        .expect(401);
+
+      await login(LAPTOP).expect(403);
+      expect(await PersonalAccessToken.countDocuments()).toBe(0);
+
+      const reported = await LoginEvent.findOne({ newDevice: true });
+      expect(reported.reportedAt).toBeInstanceOf(Date);
+
+      // The reset email unblocks password login
+      const resets = await emailsWithSubject('Reset your password');
+      expect(resets).toHaveLength(1);
+      const resetToken = resets[0].text.match(/token=([a-f0-9]+)/)[1];
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(200);
+
+      await login(LAPTOP, 'newPassword456').expect(200);
+    });
+
+    it('should not trust a reported device', async () => {
+      await register();
+      await login(PHONE).expect(200);
+
+      await request(app)
+        .post('/api/auth/not-me')
+        .send({ token: await latestNotMeToken() })
+        .expect(200);
+      await User.updateOne({ email: testUser.email }, { passwordResetRequired: false });
+
+      await login(PHONE).expect(200);
+      expect(await emailsWithSubject('New login to your account')).toHaveLength(2);
+    });
+
+    it('should only accept a link once', async () => {
+      await register();
+      await login(PHONE).expect(200);
+      const token = await latestNotMeToken();
+
+      await request(app).post('/api/auth/not-me').send({ token }).expect(200);
+      await request(app).post('/api/auth/not-me').send({ token }).expect(400);
+    });
+
+    it('should reject missing and invalid tokens', async () => {
+      await request(app).post('/api/auth/not-me').send({}).expect(400);
+      await request(app).post('/api/auth/not-me').send({ token: 'invalid' }).expect(400);
+      await request(app).get('/api/auth/not-me').expect(400);
+      await request(app).get('/api/auth/not-me').query({ token: '"><script>' }).expect(400);
+    });
+  });
+});
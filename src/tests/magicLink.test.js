@@ -0,0 +1,180 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-magic-${process.pid}`);
+
+const testUser = {
+  name: 'Magic User',
+  email: 'magic@example.com',
+  password: 'password123'
+};
+
+// Pull the login token out of the latest magic link email
+const latestLinkToken = async () => {
+  const messages = (await readOutbox()).filter(message => message.subject === 'Your login link');
+  if (!messages.length) return null;
+  const { text } = messages[messages.length - 1];
+  return decodeURIComponent(text.match(/token=(\S+)/)[1]);
+};
+
+describe('Magic Link Tests', () => {
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    process.env.MAGIC_LINK_ENABLED = 'true';
+    await clearOutbox();
+    await User.create(testUser);
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    delete process.env.MAGIC_LINK_ENABLED;
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  const requestLink = async (email = testUser.email) => {
+    const response = await request(app)
+      .post('/api/auth/magic-link')
+      .send({ email })
+      .expect(200);
+    return response.body.data.deviceToken;
+  };
+
+  const verify = (token, deviceToken) => {
+    return request(app)
+      .post('/api/auth/magic-link/verify')
+      .send({ token, deviceToken });
+  };
+
+  describe('POST /api/auth/magic-link', () => {
+    it('should email a link and log in with it once', async () => {
+      const deviceToken = await requestLink();
+      const token = await latestLinkToken();
+
+      const response = await verify(token, deviceToken).expect(200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      await verify(token, deviceToken).expect(401);
+
+      const history = await LoginEvent.find({ method: 'magic_link' }).sort('createdAt');
+      expect(history.map(event => event.outcome)).toEqual(['success', 'failure']);
+    });
+
+    it('should answer the same way for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: 'unknown@example.com' })
+        .expect(200);
+
+      expect(response.body.data.deviceToken).toBeDefined();
+      expect(await latestLinkToken()).toBeNull();
+    });
+
+    it('should send at most one link per minute', async () => {
+      await requestLink();
+      await requestLink();
+
+      const messages = (await readOutbox()).filter(message => message.subject === 'Your login link');
+      expect(messages).toHaveLength(1);
+    });
+
+    it('should email accounts that are waiting to be deleted', async () => {
+      await User.updateOne(
+        { email: testUser.email },
+        { isActive: false, deletionScheduledFor: new Date(Date.now() + 60 * 60 * 1000) }
+      );
+      const deviceToken = await requestLink();
+
+      await verify(await latestLinkToken(), deviceToken).expect(200);
+
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.isActive).toBe(true);
+      expect(user.deletionScheduledFor).toBeNull();
+    });
+
+    it('should not email deactivated accounts', async () => {
+      await User.updateOne({ email: testUser.email }, { isActive: false });
+      await requestLink();
+
+      expect(await latestLinkToken()).toBeNull();
+    });
+
+    it('should return 404 when magic links are disabled', async () => {
+      delete process.env.MAGIC_LINK_ENABLED;
+
+      await request(app)
+        .post('/api/auth/magic-link')
+        .send({ email: testUser.email })
+        .expect(404);
+    });
+  });
+
+  describe('POST /api/auth/magic-link/verify', () => {
+    it('should only work on the device that asked for the link', async () => {
+      const deviceToken = await requestLink();
+      const token = await latestLinkToken();
+
+      await verify(token, 'another-device').expect(401);
+      await verify(token, deviceToken).expect(200);
+    });
+
+    it('should only accept the latest link', async () => {
+      const firstDevice = await requestLink();
+      const first = await latestLinkToken();
+
+      await User.updateOne({ email: testUser.email }, { $unset: { magicLinkSentAt: 1 } });
+      await clearOutbox();
+      await requestLink();
+
+      await verify(first, firstDevice).expect(401);
+    });
+
+    it('should count failures towards the account lockout', async () => {
+      const deviceToken = await requestLink();
+      const token = await latestLinkToken();
+
+      await User.updateOne(
+        { email: testUser.email },
+        { lockUntil: new Date(Date.now() + 60 * 1000) }
+      );
+
+      await verify(token, deviceToken).expect(423);
+
+      await User.updateOne({ email: testUser.email }, { $unset: { lockUntil: 1 } });
+      await verify(token, 'another-device').expect(401);
+
+      const user = await User.findOne({ email: testUser.email }).select('+failedLoginAttempts');
+      expect(user.failedLoginAttempts).toBe(1);
+    });
+
+    it('should ask for the second factor when MFA is enabled', async () => {
+      await User.updateOne({ email: testUser.email }, { mfaEnabled: true });
+      const deviceToken = await requestLink();
+
+      const response = await verify(await latestLinkToken(), deviceToken).expect(200);
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+    });
+  });
+});
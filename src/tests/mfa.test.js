@@ -0,0 +1,287 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'MFA User',
+  email: 'mfa@example.com',
+  password: 'password123'
+};
+
+// Code for the next time step: still inside the verification window, but
+// different from the code used to confirm enrollment
+const nextCode = (secret) => totp.generateCode(secret, Date.now() + 30 * 1000);
+
+describe('Two-Factor Authentication Tests', () => {
+  let token;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    token = response.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const setup = () => {
+    return request(app)
+      .post('/api/auth/mfa/totp/setup')
+      .set('Authorization', `Bearer ${token}`);
+  };
+
+  // Enroll the test user; resolves with the secret and backup codes
+  const enroll = async () => {
+    const { body } = await setup().expect(200);
+    const { secret } = body.data;
+
+    const confirm = await request(app)
+      .post('/api/auth/mfa/totp/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(secret) })
+      .expect(200);
+
+    return { secret, backupCodes: confirm.body.data.backupCodes };
+  };
+
+  const login = () => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+  };
+
+  // ==========================================
+  // Enrollment
+  // ==========================================
+  describe('Enrollment', () => {
+    it('should return an otpauth URI and QR code on setup', async () => {
+      const response = await setup().expect(200);
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUri).toContain(`secret=${response.body.data.secret}`);
+      expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+      const user = await User.findOne({ email: testUser.email });
+      expect(user.mfaEnabled).toBe(false);
+    });
+
+    it('should enable MFA and return backup codes on confirmation', async () => {
+      const { backupCodes } = await enroll();
+
+      expect(backupCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email: testUser.email }).select('+backupCodes');
+      expect(user.mfaEnabled).toBe(true);
+      expect(user.backupCodes).toHaveLength(10);
+      expect(user.backupCodes).not.toContain(backupCodes[0]);
+    });
+
+    it('should reject confirmation with a wrong code', async () => {
+      await setup().expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/mfa/totp/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid authentication code');
+    });
+
+    it('should reject confirmation before setup', async () => {
+      await request(app)
+        .post('/api/auth/mfa/totp/confirm')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '123456' })
+        .expect(400);
+    });
+
+    it('should not expose MFA secrets in user responses', async () => {
+      await enroll();
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.mfaEnabled).toBe(true);
+      expect(response.body.data).not.toHaveProperty('totpSecret');
+      expect(response.body.data).not.toHaveProperty('backupCodes');
+    });
+  });
+
+  // ==========================================
+  // Two-step login
+  // ==========================================
+  describe('Two-step login', () => {
+    it('should return an MFA challenge instead of tokens', async () => {
+      await enroll();
+
+      const response = await login().expect(200);
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data).toHaveProperty('mfaToken');
+      expect(response.body.data).not.toHaveProperty('token');
+      expect(response.body.data).not.toHaveProperty('refreshToken');
+    });
+
+    it('should complete the login with a TOTP code', async () => {
+      const { secret } = await enroll();
+      const { body } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: body.data.mfaToken, code: nextCode(secret) })
+        .expect(200);
+
+      expect(response.body.message).toBe('Login successful');
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should not accept a TOTP code twice', async () => {
+      const { secret } = await enroll();
+
+      // The confirmation code was already used
+      const { body } = await login();
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: body.data.mfaToken, code: totp.generateCode(secret) })
+        .expect(401);
+    });
+
+    it('should complete the login with a backup code only once', async () => {
+      const { backupCodes } = await enroll();
+
+      const first = await login();
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: first.body.data.mfaToken, code: backupCodes[0] })
+        .expect(200);
+
+      const second = await login();
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: second.body.data.mfaToken, code: backupCodes[0] })
+        .expect(401);
+    });
+
+    it('should allow a single attempt per challenge', async () => {
+      const { secret } = await enroll();
+      const { body } = await login();
+
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: body.data.mfaToken, code: '000000' })
+        .expect(401);
+
+      const response = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: body.data.mfaToken, code: nextCode(secret) })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid or expired MFA token. Please log in again.');
+    });
+
+    it('should count wrong codes towards the lockout', async () => {
+      await enroll();
+
+      for (let i = 0; i < 5; i++) {
+        const { body } = await login().expect(200);
+        await request(app)
+          .post('/api/auth/mfa/verify')
+          .send({ mfaToken: body.data.mfaToken, code: '000000' })
+          .expect(401);
+      }
+
+      await login().expect(423);
+    });
+
+    it('should not accept the MFA token as an access token', async () => {
+      await enroll();
+      const { body } = await login();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${body.data.mfaToken}`)
+        .expect(401);
+    });
+
+    it('should fail without a code', async () => {
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: 'token' })
+        .expect(400);
+    });
+  });
+
+  // ==========================================
+  // Managing MFA
+  // ==========================================
+  describe('Managing MFA', () => {
+    it('should regenerate backup codes and invalidate the old ones', async () => {
+      const { backupCodes } = await enroll();
+
+      const response = await request(app)
+        .post('/api/auth/mfa/backup-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: backupCodes[0] })
+        .expect(200);
+
+      expect(response.body.data.backupCodes).toHaveLength(10);
+
+      const { body } = await login();
+      await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: body.data.mfaToken, code: backupCodes[1] })
+        .expect(401);
+    });
+
+    it('should disable MFA with the correct password', async () => {
+      await enroll();
+
+      await request(app)
+        .delete('/api/auth/mfa')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: testUser.password })
+        .expect(200);
+
+      const response = await login().expect(200);
+      expect(response.body.data).toHaveProperty('token');
+    });
+
+    it('should not disable MFA with a wrong password', async () => {
+      await enroll();
+
+      await request(app)
+        .delete('/api/auth/mfa')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'wrongpassword' })
+        .expect(401);
+    });
+
+    it('should refuse setup while MFA is enabled', async () => {
+      await enroll();
+      await setup().expect(400);
+    });
+  });
+});
@@ -1,8 +1,12 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const { protect, authorize } = require('../middleware/auth');
 const User = require('../models/User');
-const { generateToken } = require('../utils/generateToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const { generateToken, generateRefreshToken, verifyAccessToken } = require('../utils/generateToken');
+const keyStore = require('../utils/keyStore');
 const dbHandler = require('./setup');
 require('dotenv').config();
 
@@ -23,8 +27,20 @@ const mockResponse = () => {
 
 const mockNext = jest.fn();
 
+// Sign an arbitrary access token with the active key
+const signAccessToken = (payload, options) => {
+  const key = keyStore.getSigningKey();
+  return jwt.sign(payload, key.privateKey, {
+    algorithm: key.alg,
+    keyid: key.kid,
+    header: { typ: 'at+jwt' },
+    ...options
+  });
+};
+
 describe('Authentication Middleware Tests', () => {
   let testUser;
+  let testSession;
   let token;
 
   // Connect to the in-memory database before all tests
@@ -44,7 +60,9 @@ describe('Authentication Middleware Tests', () => {
       password: 'password123'
     });
     
-    token = generateToken(testUser._id);
+    // Open a session for the user and issue a token bound to it
+    testSession = await Session.create({ user: testUser._id });
+    token = generateToken(testUser._id, { sessionId: testSession.id });
     
     // Clear all mocks
     jest.clearAllMocks();
@@ -116,10 +134,9 @@ describe('Authentication Middleware Tests', () => {
       const res = mockResponse();
       
       // Create expired token
-      const expiredToken = jwt.sign(
-        { id: testUser._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '0s' }
+      const expiredToken = signAccessToken(
+        { id: testUser._id, sid: testSession.id },
+        { expiresIn: '0s', jwtid: 'expired' }
       );
       
       // Wait a moment to ensure token is expired
@@ -143,7 +160,8 @@ describe('Authentication Middleware Tests', () => {
       
       // Create token for non-existent user
       const fakeUserId = new mongoose.Types.ObjectId();
-      const fakeToken = generateToken(fakeUserId);
+      const fakeSession = await Session.create({ user: fakeUserId });
+      const fakeToken = generateToken(fakeUserId, { sessionId: fakeSession.id });
       
       req.headers.authorization = `Bearer ${fakeToken}`;
 
@@ -176,6 +194,110 @@ describe('Authentication Middleware Tests', () => {
       expect(mockNext).not.toHaveBeenCalled();
     });
 
+    it('should reject a token without a jti claim', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      const legacyToken = signAccessToken({ id: testUser._id, sid: testSession.id }, { expiresIn: '1h' });
+      req.headers.authorization = `Bearer ${legacyToken}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Not authorized, token failed'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject a revoked token', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      await RevokedToken.revoke(jwt.decode(token));
+      req.headers.authorization = `Bearer ${token}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Token has been revoked'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token without a session', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      req.headers.authorization = `Bearer ${generateToken(testUser._id)}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Not authorized, token failed'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject a token whose session was revoked', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      await testSession.revoke();
+      req.headers.authorization = `Bearer ${token}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should attach the session to the request', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      req.headers.authorization = `Bearer ${token}`;
+
+      await protect(req, res, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(req.session.id).toBe(testSession.id);
+    });
+
+    it('should reject a token signed with an unknown key', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const forgedToken = jwt.sign({ id: testUser._id, sid: testSession.id }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'forged',
+        header: { typ: 'at+jwt' },
+        jwtid: 'forged'
+      });
+      req.headers.authorization = `Bearer ${forgedToken}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject a refresh token used as an access token', async () => {
+      const req = mockRequest();
+      const res = mockResponse();
+      const refreshToken = generateRefreshToken(testUser._id, { jti: 'refresh', family: testSession.id });
+      req.headers.authorization = `Bearer ${refreshToken}`;
+
+      await protect(req, res, mockNext);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
     it('should not include password in req.user', async () => {
       const req = mockRequest();
       const res = mockResponse();
@@ -258,7 +380,8 @@ describe('Authentication Middleware Tests', () => {
         password: 'admin123',
         role: 'admin'
       });
-      const adminToken = generateToken(adminUser._id);
+      const adminSession = await Session.create({ user: adminUser._id });
+      const adminToken = generateToken(adminUser._id, { sessionId: adminSession.id });
 
       const req = mockRequest();
       const res = mockResponse();
@@ -306,7 +429,7 @@ describe('Authentication Middleware Tests', () => {
   // Token Generation Tests
   // ==========================================
   describe('Token generation and validation', () => {
-    it('should generate valid JWT token', () => {
+    it('should generate valid JWT token', async () => {
       const userId = testUser._id.toString();
       const generatedToken = generateToken(userId);
 
@@ -314,17 +437,17 @@ describe('Authentication Middleware Tests', () => {
       expect(typeof generatedToken).toBe('string');
 
       // Verify token
-      const decoded = jwt.verify(generatedToken, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(generatedToken);
       expect(decoded.id).toBe(userId);
       expect(decoded.iat).toBeDefined();
       expect(decoded.exp).toBeDefined();
     });
 
-    it('should generate token with correct expiration', () => {
+    it('should generate token with correct expiration', async () => {
       const userId = testUser._id.toString();
       const generatedToken = generateToken(userId);
 
-      const decoded = jwt.verify(generatedToken, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(generatedToken);
       
       // Check expiration (default is 7 days)
       const expectedExpiration = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
@@ -334,12 +457,30 @@ describe('Authentication Middleware Tests', () => {
       expect(timeDifference).toBeLessThan(5);
     });
 
-    it('should include user ID in token payload', () => {
+    it('should include user ID in token payload', async () => {
       const userId = testUser._id.toString();
       const generatedToken = generateToken(userId);
 
-      const decoded = jwt.verify(generatedToken, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(generatedToken);
       expect(decoded.id).toBe(userId);
     });
+
+    it('should sign tokens asymmetrically with a kid header', () => {
+      const generatedToken = generateToken(testUser._id.toString());
+      const { header } = jwt.decode(generatedToken, { complete: true });
+
+      expect(header.alg).toBe(process.env.JWT_ALGORITHM || 'RS256');
+      expect(header.typ).toBe('at+jwt');
+      expect(header.kid).toBe(keyStore.getSigningKey().kid);
+    });
+
+    it('should give every token a unique jti', () => {
+      const userId = testUser._id.toString();
+      const first = jwt.decode(generateToken(userId));
+      const second = jwt.decode(generateToken(userId));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+    });
   });
 });
\ No newline at end of file
@@ -152,6 +152,26 @@ describe('User Model Tests', () => {
       expect(updatedUser.password).not.toBe(originalPassword);
       expect(updatedUser.password).not.toBe('newpassword123');
     });
+
+    it('should only set passwordChangedAt when an existing password changes', async () => {
+      const user = await User.create(validUserData);
+      expect(user.passwordChangedAt).toBeUndefined();
+
+      const userWithPassword = await User.findById(user._id).select('+password');
+      userWithPassword.password = 'newpassword123';
+      await userWithPassword.save();
+
+      expect(userWithPassword.passwordChangedAt).toBeInstanceOf(Date);
+    });
+
+    it('should report tokens issued before the password change', async () => {
+      const user = await User.create(validUserData);
+      user.passwordChangedAt = new Date();
+      const changedAt = Math.floor(user.passwordChangedAt.getTime() / 1000);
+
+      expect(user.changedPasswordAfter(changedAt - 60)).toBe(true);
+      expect(user.changedPasswordAfter(changedAt)).toBe(false);
+    });
   });
 
   // ==========================================
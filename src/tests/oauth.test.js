@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const OAuthClient = require('../models/OAuthClient');
+const { oauthAudience } = require('../utils/oauth');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+
+const pkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+describe('OAuth 2.0 Tests', () => {
+  let token;
+  let client;
+  let clientSecret;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create(testAdmin);
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    token = login.body.data.token;
+
+    const registered = await request(app)
+      .post('/oauth/clients')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        name: 'Reporting App',
+        redirectUris: [REDIRECT_URI],
+        scopes: ['users:read', 'users:delete'],
+        grantTypes: ['authorization_code', 'refresh_token', 'client_credentials']
+      });
+    client = registered.body.data;
+    clientSecret = registered.body.data.clientSecret;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const authorizeParams = (overrides = {}) => ({
+    response_type: 'code',
+    client_id: client.clientId,
+    redirect_uri: REDIRECT_URI,
+    scope: 'users:read',
+    state: 'xyz',
+    code_challenge_method: 'S256',
+    ...overrides
+  });
+
+  // Run the consent step and return the authorization code
+  const getCode = async (challenge, overrides = {}) => {
+    const response = await request(app)
+      .post('/oauth/authorize')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...authorizeParams({ code_challenge: challenge, ...overrides }), approve: true })
+      .expect(200);
+
+    const redirect = new URL(response.body.data.redirectTo);
+    expect(redirect.searchParams.get('state')).toBe('xyz');
+    return redirect.searchParams.get('code');
+  };
+
+  const exchange = (fields) => {
+    return request(app)
+      .post('/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send(fields);
+  };
+
+  // Complete the whole authorization code flow
+  const authorizeAndExchange = async () => {
+    const { verifier, challenge } = pkcePair();
+    const code = await getCode(challenge);
+
+    const response = await exchange({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: verifier
+    }).expect(200);
+    return response.body;
+  };
+
+  // ==========================================
+  // Client registration
+  // ==========================================
+  describe('Client registration', () => {
+    it('should show the secret once and store only its hash', async () => {
+      expect(clientSecret).toBeDefined();
+
+      const stored = await OAuthClient.findOne({ clientId: client.clientId }).select('+clientSecretHash');
+      expect(stored.clientSecretHash).not.toBe(clientSecret);
+
+      const list = await request(app)
+        .get('/oauth/clients')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.data[0].clientSecret).toBeUndefined();
+      expect(list.body.data[0].clientSecretHash).toBeUndefined();
+    });
+
+    it('should reject unsafe redirect URIs', async () => {
+      for (const uri of ['http://evil.example.com/cb', 'https://app.example.com/cb#frag', 'not a url']) {
+        await request(app)
+          .post('/oauth/clients')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ name: 'Bad', redirectUris: [uri] })
+          .expect(400);
+      }
+    });
+
+    it('should not give public clients a secret or client_credentials', async () => {
+      const response = await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'SPA', type: 'public', redirectUris: ['http://localhost:3000/cb'] })
+        .expect(201);
+      expect(response.body.data.clientSecret).toBeUndefined();
+
+      await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'SPA', type: 'public', redirectUris: ['http://localhost:3000/cb'], grantTypes: ['client_credentials'] })
+        .expect(400);
+    });
+  });
+
+  // ==========================================
+  // Authorization endpoint
+  // ==========================================
+  describe('Authorization endpoint', () => {
+    it('should describe the request for the consent screen', async () => {
+      const response = await request(app)
+        .get('/oauth/authorize')
+        .query(authorizeParams({ code_challenge: pkcePair().challenge }))
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.client.name).toBe('Reporting App');
+      expect(response.body.data.scope).toEqual(['users:read']);
+    });
+
+    it('should reject invalid requests', async () => {
+      const { challenge } = pkcePair();
+      const cases = [
+        { client_id: 'unknown', code_challenge: challenge },
+        { redirect_uri: 'https://evil.example.com/callback', code_challenge: challenge },
+        { scope: 'roles:write', code_challenge: challenge },
+        { response_type: 'token', code_challenge: challenge },
+        {},
+        { code_challenge: challenge, code_challenge_method: 'plain' }
+      ];
+
+      for (const overrides of cases) {
+        await request(app)
+          .get('/oauth/authorize')
+          .query(authorizeParams(overrides))
+          .set('Authorization', `Bearer ${token}`)
+          .expect(400);
+      }
+    });
+
+    it('should redirect with access_denied when the user declines', async () => {
+      const response = await request(app)
+        .post('/oauth/authorize')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...authorizeParams({ code_challenge: pkcePair().challenge }), approve: false })
+        .expect(200);
+
+      const redirect = new URL(response.body.data.redirectTo);
+      expect(redirect.searchParams.get('error')).toBe('access_denied');
+      expect(redirect.searchParams.get('code')).toBeNull();
+    });
+
+    it('should require a logged-in user', async () => {
+      await request(app).get('/oauth/authorize').query(authorizeParams()).expect(401);
+    });
+  });
+
+  // ==========================================
+  // Token endpoint
+  // ==========================================
+  describe('authorization_code grant', () => {
+    it('should issue scoped tokens for the client', async () => {
+      const body = await authorizeAndExchange();
+
+      expect(body.token_type).toBe('Bearer');
+      expect(body.scope).toBe('users:read');
+      expect(body.refresh_token).toBeDefined();
+
+      const claims = jwt.decode(body.access_token);
+      expect(claims.scope).toBe('users:read');
+      expect(claims.aud).toBe(oauthAudience());
+      expect(claims.client_id).toBe(client.clientId);
+      expect(body.expires_in).toBe(claims.exp - claims.iat);
+    });
+
+    it('should limit the token to its scope', async () => {
+      const body = await authorizeAndExchange();
+      const user = await User.create({ name: 'Victim', email: 'victim@example.com', password: 'password123' });
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(403);
+
+      await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(403);
+    });
+
+    it('should reject a wrong code_verifier', async () => {
+      const { challenge } = pkcePair();
+      const code = await getCode(challenge);
+
+      const response = await exchange({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: pkcePair().verifier
+      }).expect(400);
+
+      expect(response.body.error).toBe('invalid_grant');
+    });
+
+    it('should keep the code when the redirect_uri does not match', async () => {
+      const { verifier, challenge } = pkcePair();
+      const code = await getCode(challenge);
+      const fields = { grant_type: 'authorization_code', code, code_verifier: verifier };
+
+      const response = await exchange({ ...fields, redirect_uri: 'https://evil.example.com/callback' }).expect(400);
+      expect(response.body.error).toBe('invalid_grant');
+      await exchange(fields).expect(400);
+
+      await exchange({ ...fields, redirect_uri: REDIRECT_URI }).expect(200);
+    });
+
+    it('should not require a redirect_uri the authorization request left out', async () => {
+      const { verifier, challenge } = pkcePair();
+      const code = await getCode(challenge, { redirect_uri: undefined });
+
+      await exchange({ grant_type: 'authorization_code', code, code_verifier: verifier }).expect(200);
+    });
+
+    it('should revoke the grant when a code is replayed', async () => {
+      const { verifier, challenge } = pkcePair();
+      const code = await getCode(challenge);
+      const fields = { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: verifier };
+
+      const first = await exchange(fields).expect(200);
+      await exchange(fields).expect(400);
+
+      const session = await Session.findById(jwt.decode(first.body.access_token).sid);
+      expect(session.revokedAt).not.toBeNull();
+    });
+
+    it('should authenticate confidential clients', async () => {
+      const response = await request(app)
+        .post('/oauth/token')
+        .auth(client.clientId, 'wrong-secret')
+        .type('form')
+        .send({ grant_type: 'client_credentials' })
+        .expect(401);
+
+      expect(response.body.error).toBe('invalid_client');
+      expect(response.headers['cache-control']).toBe('no-store');
+    });
+
+    it('should reject malformed Basic credentials', async () => {
+      const response = await request(app)
+        .post('/oauth/token')
+        .set('Authorization', `Basic ${Buffer.from(`${client.clientId}:%E0%A4%A`).toString('base64')}`)
+        .type('form')
+        .send({ grant_type: 'client_credentials' })
+        .expect(401);
+
+      expect(response.body.error).toBe('invalid_client');
+    });
+
+    it('should accept public clients with PKCE alone', async () => {
+      const registered = await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'SPA', type: 'public', redirectUris: ['http://localhost:3000/cb'], scopes: ['users:read'] });
+      const publicClient = registered.body.data;
+
+      const { verifier, challenge } = pkcePair();
+      const code = await getCode(challenge, { client_id: publicClient.clientId, redirect_uri: 'http://localhost:3000/cb' });
+
+      await request(app)
+        .post('/oauth/token')
+        .type('form')
+        .send({
+          grant_type: 'authorization_code',
+          client_id: publicClient.clientId,
+          code,
+          redirect_uri: 'http://localhost:3000/cb',
+          code_verifier: verifier
+        })
+        .expect(200);
+    });
+  });
+
+  describe('refresh_token grant', () => {
+    it('should rotate refresh tokens', async () => {
+      const body = await authorizeAndExchange();
+
+      const refreshed = await exchange({ grant_type: 'refresh_token', refresh_token: body.refresh_token })
+        .expect(200);
+      expect(refreshed.body.refresh_token).not.toBe(body.refresh_token);
+      expect(jwt.decode(refreshed.body.access_token).scope).toBe('users:read');
+
+      const reused = await exchange({ grant_type: 'refresh_token', refresh_token: body.refresh_token })
+        .expect(400);
+      expect(reused.body.error).toBe('invalid_grant');
+    });
+
+    it('should keep OAuth and first-party refresh tokens apart', async () => {
+      const body = await authorizeAndExchange();
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refresh_token })
+        .expect(401);
+    });
+  });
+
+  describe('client_credentials grant', () => {
+    it('should issue a token for the client itself', async () => {
+      const response = await exchange({ grant_type: 'client_credentials', scope: 'users:read' }).expect(200);
+
+      const claims = jwt.decode(response.body.access_token);
+      expect(claims.sub).toBe(client.clientId);
+      expect(claims.id).toBeUndefined();
+      expect(response.body.refresh_token).toBeUndefined();
+
+      // It does not act as any user of this API
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.access_token}`)
+        .expect(401);
+    });
+
+    it('should reject scopes the client was not given', async () => {
+      const response = await exchange({ grant_type: 'client_credentials', scope: 'roles:write' }).expect(400);
+      expect(response.body.error).toBe('invalid_scope');
+    });
+
+    it('should reject unsupported grant types', async () => {
+      const response = await exchange({ grant_type: 'password' }).expect(400);
+      expect(response.body.error).toBe('unsupported_grant_type');
+    });
+  });
+
+  describe('Token introspection', () => {
+    const introspect = (tokenToCheck) => {
+      return request(app)
+        .post('/oauth/introspect')
+        .auth(client.clientId, clientSecret)
+        .type('form')
+        .send({ token: tokenToCheck });
+    };
+
+    it('should describe active access and refresh tokens', async () => {
+      const body = await authorizeAndExchange();
+      const user = await User.findOne({ email: testAdmin.email });
+
+      const access = await introspect(body.access_token).expect(200);
+      expect(access.body).toMatchObject({
+        active: true,
+        token_type: 'Bearer',
+        sub: user._id.toString(),
+        client_id: client.clientId,
+        scope: 'users:read',
+        exp: jwt.decode(body.access_token).exp
+      });
+
+      const refresh = await introspect(body.refresh_token).expect(200);
+      expect(refresh.body).toMatchObject({ active: true, token_type: 'refresh_token', scope: 'users:read' });
+    });
+
+    it('should report revoked and invalid tokens as inactive', async () => {
+      const body = await authorizeAndExchange();
+      await Session.updateMany({}, { revokedAt: new Date() });
+
+      const revoked = await introspect(body.access_token).expect(200);
+      expect(revoked.body).toEqual({ active: false });
+
+      const invalid = await introspect('not-a-token').expect(200);
+      expect(invalid.body).toEqual({ active: false });
+    });
+
+    it('should only answer authenticated confidential clients', async () => {
+      const body = await authorizeAndExchange();
+
+      await request(app)
+        .post('/oauth/introspect')
+        .auth(client.clientId, 'wrong-secret')
+        .type('form')
+        .send({ token: body.access_token })
+        .expect(401);
+
+      const spa = await request(app)
+        .post('/oauth/clients')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'SPA', type: 'public', redirectUris: ['http://localhost:3000/cb'] });
+
+      await request(app)
+        .post('/oauth/introspect')
+        .type('form')
+        .send({ client_id: spa.body.data.clientId, token: body.access_token })
+        .expect(401);
+    });
+  });
+
+  describe('Token revocation', () => {
+    const revoke = (tokenToRevoke) => {
+      return request(app)
+        .post('/oauth/revoke')
+        .auth(client.clientId, clientSecret)
+        .type('form')
+        .send({ token: tokenToRevoke });
+    };
+
+    it('should revoke an access token for protect', async () => {
+      const body = await authorizeAndExchange();
+
+      await revoke(body.access_token).expect(200);
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(401);
+      expect(response.body.message).toBe('Token has been revoked');
+
+      // The rest of the grant still works
+      await exchange({ grant_type: 'refresh_token', refresh_token: body.refresh_token }).expect(200);
+    });
+
+    it('should end the whole grant when a refresh token is revoked', async () => {
+      const body = await authorizeAndExchange();
+
+      await revoke(body.refresh_token).expect(200);
+
+      await exchange({ grant_type: 'refresh_token', refresh_token: body.refresh_token }).expect(400);
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(401);
+    });
+
+    it('should accept unknown tokens', async () => {
+      await revoke('not-a-token').expect(200);
+    });
+
+    it('should not revoke tokens of other clients or first-party logins', async () => {
+      const response = await revoke(token).expect(400);
+      expect(response.body.error).toBe('unauthorized_client');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Deleting a client', () => {
+    it('should revoke its sessions', async () => {
+      const body = await authorizeAndExchange();
+
+      await request(app)
+        .delete(`/oauth/clients/${client.clientId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../../app');
+const User = require('../models/User');
+const { oidcIssuer } = require('../utils/oauth');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'password123'
+};
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+
+const pkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+describe('OpenID Connect Tests', () => {
+  let token;
+  let client;
+  let clientSecret;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create({ ...testUser, emailVerified: true });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+    token = login.body.data.token;
+
+    const registered = await request(app)
+      .post('/oauth/clients')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Sign-in App', redirectUris: [REDIRECT_URI] });
+    client = registered.body.data;
+    clientSecret = registered.body.data.clientSecret;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  // Run the authorization code flow for the given scope
+  const signIn = async (scope, nonce) => {
+    const { verifier, challenge } = pkcePair();
+
+    const consent = await request(app)
+      .post('/oauth/authorize')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        response_type: 'code',
+        client_id: client.clientId,
+        redirect_uri: REDIRECT_URI,
+        scope,
+        nonce,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+        approve: true
+      })
+      .expect(200);
+    const code = new URL(consent.body.data.redirectTo).searchParams.get('code');
+
+    const response = await request(app)
+      .post('/oauth/token')
+      .auth(client.clientId, clientSecret)
+      .type('form')
+      .send({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: verifier })
+      .expect(200);
+    return response.body;
+  };
+
+  // Verify an ID token the way a client would, using the published keys
+  const verifyIdToken = async (idToken) => {
+    const { header } = jwt.decode(idToken, { complete: true });
+    const jwks = await request(app).get('/.well-known/jwks.json').expect(200);
+    const jwk = jwks.body.keys.find(key => key.kid === header.kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    return jwt.verify(idToken, publicKey, {
+      algorithms: [jwk.alg],
+      issuer: oidcIssuer(),
+      audience: client.clientId
+    });
+  };
+
+  // ==========================================
+  // Discovery
+  // ==========================================
+  describe('Discovery', () => {
+    afterEach(() => {
+      delete process.env.OAUTH_AUTHORIZE_URL;
+    });
+
+    it('should publish the provider configuration', async () => {
+      process.env.OAUTH_AUTHORIZE_URL = 'https://app.example.com/consent';
+
+      const response = await request(app)
+        .get('/.well-known/openid-configuration')
+        .expect(200);
+
+      expect(response.body.issuer).toBe(oidcIssuer());
+      expect(response.body.authorization_endpoint).toBe('https://app.example.com/consent');
+      expect(response.body.token_endpoint).toMatch(/\/oauth\/token$/);
+      expect(response.body.userinfo_endpoint).toMatch(/\/oauth\/userinfo$/);
+      expect(response.body.jwks_uri).toMatch(/\/\.well-known\/jwks\.json$/);
+      expect(response.body.scopes_supported).toEqual(expect.arrayContaining(['openid', 'profile', 'email']));
+      expect(response.body.code_challenge_methods_supported).toEqual(['S256']);
+    });
+
+    it('should not be available without a consent page', async () => {
+      await request(app)
+        .get('/.well-known/openid-configuration')
+        .expect(404);
+    });
+  });
+
+  // ==========================================
+  // ID tokens
+  // ==========================================
+  describe('ID tokens', () => {
+    it('should issue a signed ID token for the openid scope', async () => {
+      const body = await signIn('openid profile email', 'n-0S6_WzA2Mj');
+      const claims = await verifyIdToken(body.id_token);
+      const user = await User.findOne({ email: testUser.email });
+
+      expect(claims.sub).toBe(user._id.toString());
+      expect(claims.nonce).toBe('n-0S6_WzA2Mj');
+      expect(claims.name).toBe(testUser.name);
+      expect(claims.email).toBe(testUser.email);
+      expect(claims.email_verified).toBe(true);
+      expect(claims.auth_time).toBeLessThanOrEqual(claims.iat);
+    });
+
+    it('should only include the claims of the granted scopes', async () => {
+      const body = await signIn('openid');
+      const claims = await verifyIdToken(body.id_token);
+
+      expect(claims.sub).toBeDefined();
+      expect(claims.email).toBeUndefined();
+      expect(claims.name).toBeUndefined();
+      expect(claims.nonce).toBeUndefined();
+    });
+
+    it('should not issue an ID token without the openid scope', async () => {
+      const body = await signIn('');
+      expect(body.id_token).toBeUndefined();
+    });
+
+    it('should not accept an ID token as an access token', async () => {
+      const body = await signIn('openid');
+
+      await request(app)
+        .get('/oauth/userinfo')
+        .set('Authorization', `Bearer ${body.id_token}`)
+        .expect(401);
+    });
+  });
+
+  // ==========================================
+  // UserInfo
+  // ==========================================
+  describe('UserInfo endpoint', () => {
+    it('should return the claims of the granted scopes', async () => {
+      const body = await signIn('openid email');
+
+      const response = await request(app)
+        .get('/oauth/userinfo')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(200);
+
+      expect(response.body.email).toBe(testUser.email);
+      expect(response.body.email_verified).toBe(true);
+      expect(response.body.name).toBeUndefined();
+    });
+
+    it('should require the openid scope', async () => {
+      const body = await signIn('');
+
+      const response = await request(app)
+        .get('/oauth/userinfo')
+        .set('Authorization', `Bearer ${body.access_token}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('insufficient_scope');
+    });
+  });
+});
@@ -0,0 +1,268 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const people = {
+  owner: { name: 'Olivia Owner', email: 'owner@example.com', password: 'password123' },
+  admin: { name: 'Adam Admin', email: 'orgadmin@example.com', password: 'password123' },
+  member: { name: 'Mia Member', email: 'member@example.com', password: 'password123' },
+  outsider: { name: 'Otto Outsider', email: 'outsider@example.com', password: 'password123' }
+};
+
+describe('Organization Tests', () => {
+  const tokens = {};
+  const ids = {};
+  let orgId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    for (const [key, person] of Object.entries(people)) {
+      const user = await User.create(person);
+      ids[key] = user._id.toString();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: person.email, password: person.password });
+      tokens[key] = response.body.data.token;
+    }
+
+    const created = await request(app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${tokens.owner}`)
+      .send({ name: 'Acme Inc.' });
+    orgId = created.body.data._id;
+
+    await Membership.create([
+      { user: ids.admin, organization: orgId, role: 'admin' },
+      { user: ids.member, organization: orgId, role: 'member' }
+    ]);
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const as = (key, req) => req.set('Authorization', `Bearer ${tokens[key]}`);
+
+  // ==========================================
+  // Organization CRUD
+  // ==========================================
+  describe('Organization CRUD', () => {
+    it('should make the creator the owner', async () => {
+      const membership = await Membership.findOne({ organization: orgId, user: ids.owner });
+      expect(membership.role).toBe('owner');
+    });
+
+    it('should list only the organizations the user belongs to', async () => {
+      const mine = await as('member', request(app).get('/api/organizations')).expect(200);
+      expect(mine.body.count).toBe(1);
+      expect(mine.body.data[0]).toMatchObject({ name: 'Acme Inc.', role: 'member' });
+
+      const theirs = await as('outsider', request(app).get('/api/organizations')).expect(200);
+      expect(theirs.body.count).toBe(0);
+    });
+
+    it('should hide organizations from non-members', async () => {
+      await as('member', request(app).get(`/api/organizations/${orgId}`)).expect(200);
+      await as('outsider', request(app).get(`/api/organizations/${orgId}`)).expect(404);
+    });
+
+    it('should let owners and admins rename, but not members', async () => {
+      await as('member', request(app).put(`/api/organizations/${orgId}`))
+        .send({ name: 'Nope' })
+        .expect(403);
+
+      const response = await as('admin', request(app).put(`/api/organizations/${orgId}`))
+        .send({ name: 'Acme Corp' })
+        .expect(200);
+      expect(response.body.data.name).toBe('Acme Corp');
+    });
+
+    it('should let only owners delete', async () => {
+      await as('admin', request(app).delete(`/api/organizations/${orgId}`)).expect(403);
+      await as('owner', request(app).delete(`/api/organizations/${orgId}`)).expect(200);
+
+      expect(await Organization.exists({ _id: orgId })).toBeNull();
+      expect(await Membership.countDocuments({ organization: orgId })).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Memberships
+  // ==========================================
+  describe('Memberships', () => {
+    it('should list members', async () => {
+      const response = await as('member', request(app).get(`/api/organizations/${orgId}/members`))
+        .expect(200);
+
+      expect(response.body.count).toBe(3);
+      expect(response.body.data[0].user.email).toBe(people.owner.email);
+    });
+
+    it('should let admins change member roles', async () => {
+      await as('admin', request(app).put(`/api/organizations/${orgId}/members/${ids.member}`))
+        .send({ role: 'admin' })
+        .expect(200);
+
+      const membership = await Membership.findOne({ organization: orgId, user: ids.member });
+      expect(membership.role).toBe('admin');
+    });
+
+    it('should reject unknown roles', async () => {
+      await as('owner', request(app).put(`/api/organizations/${orgId}/members/${ids.member}`))
+        .send({ role: 'superadmin' })
+        .expect(400);
+    });
+
+    it('should let only owners grant ownership', async () => {
+      const response = await as('admin', request(app).put(`/api/organizations/${orgId}/members/${ids.member}`))
+        .send({ role: 'owner' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Only owners can change ownership');
+    });
+
+    it('should keep at least one owner', async () => {
+      const response = await as('owner', request(app).put(`/api/organizations/${orgId}/members/${ids.owner}`))
+        .send({ role: 'member' })
+        .expect(400);
+      expect(response.body.message).toBe('An organization must keep at least one owner');
+
+      await as('owner', request(app).delete(`/api/organizations/${orgId}/members/${ids.owner}`))
+        .expect(400);
+    });
+
+    it('should let members leave but not remove others', async () => {
+      await as('member', request(app).delete(`/api/organizations/${orgId}/members/${ids.admin}`))
+        .expect(403);
+
+      await as('member', request(app).delete(`/api/organizations/${orgId}/members/${ids.member}`))
+        .expect(200);
+
+      expect(await Membership.exists({ organization: orgId, user: ids.member })).toBeNull();
+    });
+  });
+
+  // ==========================================
+  // Organization scoping
+  // ==========================================
+  describe('Organization-scoped user access', () => {
+    const listUsers = (key) => as(key, request(app).get('/api/users'))
+      .set('X-Organization-Id', orgId);
+
+    it('should let org admins list only their members', async () => {
+      const response = await listUsers('admin').expect(200);
+
+      expect(response.body.total).toBe(3);
+      expect(response.body.data.map(user => user.email)).not.toContain(people.outsider.email);
+    });
+
+    it('should not let plain members list users', async () => {
+      await listUsers('member').expect(403);
+    });
+
+    it('should not grant org permissions outside the organization', async () => {
+      await as('admin', request(app).get('/api/users')).expect(403);
+    });
+
+    it('should scope global admins to the organization too', async () => {
+      await User.findByIdAndUpdate(ids.member, { role: 'admin' });
+
+      const everyone = await as('member', request(app).get('/api/users')).expect(200);
+      expect(everyone.body.total).toBe(4);
+
+      const scoped = await listUsers('member').expect(200);
+      expect(scoped.body.total).toBe(3);
+    });
+
+    it('should hide users outside the organization', async () => {
+      await as('member', request(app).get(`/api/users/${ids.admin}`))
+        .set('X-Organization-Id', orgId)
+        .expect(200);
+
+      await as('member', request(app).get(`/api/users/${ids.outsider}`))
+        .set('X-Organization-Id', orgId)
+        .expect(404);
+    });
+
+    it('should reject organizations the user does not belong to', async () => {
+      const response = await listUsers('outsider').expect(403);
+      expect(response.body.message).toBe('You are not a member of this organization');
+
+      await as('outsider', request(app).get('/api/auth/me'))
+        .set('X-Organization-Id', 'not-an-id')
+        .expect(403);
+    });
+  });
+
+  // ==========================================
+  // Switching organizations
+  // ==========================================
+  describe('PUT /api/auth/organization', () => {
+    it('should issue a token scoped to the organization', async () => {
+      const response = await as('admin', request(app).put('/api/auth/organization'))
+        .send({ organizationId: orgId })
+        .expect(200);
+
+      const scopedToken = response.body.data.token;
+      expect(jwt.decode(scopedToken).org).toBe(orgId);
+
+      const users = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${scopedToken}`)
+        .expect(200);
+      expect(users.body.total).toBe(3);
+    });
+
+    it('should keep the organization across refreshes', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: people.admin.email, password: people.admin.password });
+
+      await request(app)
+        .put('/api/auth/organization')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ organizationId: orgId })
+        .expect(200);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: login.body.data.refreshToken })
+        .expect(200);
+
+      expect(jwt.decode(refreshed.body.data.token).org).toBe(orgId);
+    });
+
+    it('should leave the organization context with null', async () => {
+      await as('admin', request(app).put('/api/auth/organization'))
+        .send({ organizationId: orgId });
+
+      const response = await as('admin', request(app).put('/api/auth/organization'))
+        .send({ organizationId: null })
+        .expect(200);
+
+      expect(jwt.decode(response.body.data.token).org).toBeUndefined();
+      const session = await Session.findById(jwt.decode(tokens.admin).sid);
+      expect(session.organization).toBeNull();
+    });
+
+    it('should refuse organizations the user does not belong to', async () => {
+      await as('outsider', request(app).put('/api/auth/organization'))
+        .send({ organizationId: orgId })
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,337 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Credential = require('../models/Credential');
+const { relyingParty } = require('../utils/webauthn');
+const SoftwareAuthenticator = require('./softwareAuthenticator');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Passkey User',
+  email: 'passkey@example.com',
+  password: 'password123'
+};
+
+describe('Passkey Tests', () => {
+  let token;
+  let authenticator;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    token = response.body.data.token;
+
+    const rp = relyingParty();
+    authenticator = new SoftwareAuthenticator({ origin: rp.origins[0], rpId: rp.id });
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const registrationOptions = async () => {
+    const response = await request(app)
+      .post('/api/auth/passkeys/registration/options')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.data;
+  };
+
+  const register = async (format = 'none', malformed = {}) => {
+    const credential = authenticator.create(await registrationOptions(), { format, ...malformed });
+    return request(app)
+      .post('/api/auth/passkeys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ credential, name: 'Laptop' });
+  };
+
+  const loginOptions = async () => {
+    const response = await request(app)
+      .post('/api/auth/passkeys/login/options')
+      .expect(200);
+    return response.body.data;
+  };
+
+  const loginWith = (credential) => {
+    return request(app)
+      .post('/api/auth/passkeys/login')
+      .send({ credential });
+  };
+
+  // ==========================================
+  // Registration
+  // ==========================================
+  describe('Registration', () => {
+    it('should return creation options for the current user', async () => {
+      const options = await registrationOptions();
+
+      expect(options.challenge).toBeDefined();
+      expect(options.rp.id).toBe(relyingParty().id);
+      expect(options.user.name).toBe(testUser.email);
+      expect(options.pubKeyCredParams).toContainEqual({ type: 'public-key', alg: -7 });
+    });
+
+    it.each(['none', 'packed', 'packed-x5c'])('should register a passkey with %s attestation', async (format) => {
+      const response = await register(format).expect(201);
+
+      expect(response.body.data.name).toBe('Laptop');
+      expect(response.body.data.attestationFormat).toBe(format === 'none' ? 'none' : 'packed');
+      expect(response.body.data.publicKey).toBeUndefined();
+    });
+
+    it('should reject a challenge that was not issued', async () => {
+      const credential = authenticator.create({ challenge: 'not-issued', user: { id: 'user' } });
+
+      await request(app)
+        .post('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ credential })
+        .expect(400);
+    });
+
+    it('should accept each challenge only once', async () => {
+      const options = await registrationOptions();
+      const credential = authenticator.create(options);
+
+      await request(app)
+        .post('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ credential })
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ credential: authenticator.create(options) })
+        .expect(400);
+    });
+
+    it('should reject a response from another origin', async () => {
+      const options = await registrationOptions();
+      const phishing = new SoftwareAuthenticator({ origin: 'https://evil.example', rpId: relyingParty().id });
+
+      await request(app)
+        .post('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ credential: phishing.create(options) })
+        .expect(400);
+    });
+
+    it.each([
+      ['an attestation object that is not a map', 'none', { attestation: () => ['garbage'] }, 'Invalid attestationObject'],
+      ['an attestation statement that is not a map', 'none', { attestation: object => object.set('attStmt', 'garbage') }, 'Invalid attestation statement'],
+      ['a certificate chain that is not a list', 'packed-x5c', { attestation: object => object.set('attStmt', object.get('attStmt').set('x5c', 'garbage')) }, 'Invalid packed attestation statement'],
+      ['a certificate that does not parse', 'packed-x5c', { attestation: object => object.set('attStmt', object.get('attStmt').set('x5c', [Buffer.from('garbage')])) }, 'Invalid attestation certificate'],
+      ['a COSE key that is not a map', 'none', { coseKey: () => 'garbage' }, 'Invalid credential public key'],
+      ['a COSE key without coordinates', 'none', { coseKey: key => { key.delete(-3); return key; } }, 'Invalid credential public key'],
+      ['a COSE key with coordinates off the curve', 'none', { coseKey: key => key.set(-3, Buffer.alloc(32, 1)) }, 'Invalid credential public key'],
+      ['an algorithm that does not match the key type', 'none', { coseKey: key => key.set(3, -257) }, 'Algorithm -257 does not match the credential public key']
+    ])('should reject %s', async (_, format, malformed, message) => {
+      const response = await register(format, malformed).expect(400);
+
+      expect(response.body.message).toBe(message);
+      expect(await Credential.countDocuments()).toBe(0);
+    });
+  });
+
+  // ==========================================
+  // Managing passkeys
+  // ==========================================
+  describe('Managing passkeys', () => {
+    it('should list and remove passkeys', async () => {
+      const registered = await register().expect(201);
+
+      const list = await request(app)
+        .get('/api/auth/passkeys')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.count).toBe(1);
+
+      await request(app)
+        .delete(`/api/auth/passkeys/${registered.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Credential.countDocuments()).toBe(0);
+    });
+
+    it('should not remove another user\'s passkey', async () => {
+      const registered = await register().expect(201);
+
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+
+      await request(app)
+        .delete(`/api/auth/passkeys/${registered.body.data._id}`)
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(404);
+    });
+  });
+
+  // ==========================================
+  // Passwordless login
+  // ==========================================
+  describe('Passwordless login', () => {
+    beforeEach(async () => {
+      await register().expect(201);
+    });
+
+    it('should log in with a passkey', async () => {
+      const response = await loginWith(authenticator.get(await loginOptions())).expect(200);
+
+      expect(response.body.data.user.email).toBe(testUser.email);
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+
+      const stored = await Credential.findOne();
+      expect(stored.signCount).toBe(1);
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    it('should require user verification', async () => {
+      const credential = authenticator.get(await loginOptions(), { userVerified: false });
+
+      await loginWith(credential).expect(401);
+    });
+
+    it('should reject truncated authenticator data', async () => {
+      const credential = authenticator.get(await loginOptions());
+      const authData = Buffer.from(credential.response.authenticatorData, 'base64url');
+      // Claims attested credential data that is not there
+      authData[32] |= 0x40;
+      credential.response.authenticatorData = authData.toString('base64url');
+
+      const response = await loginWith(credential).expect(401);
+      expect(response.body.message).toBe('Attested credential data is too short');
+    });
+
+    it('should reject garbage assertion data', async () => {
+      const credential = authenticator.get(await loginOptions());
+      credential.response.authenticatorData = Buffer.from('garbage').toString('base64url');
+
+      const response = await loginWith(credential).expect(401);
+      expect(response.body.message).toBe('Authenticator data is too short');
+
+      const unsigned = authenticator.get(await loginOptions());
+      unsigned.response.signature = Buffer.from('garbage').toString('base64url');
+
+      await loginWith(unsigned).expect(401);
+    });
+
+    it('should reject a signature counter that goes backwards', async () => {
+      await loginWith(authenticator.get(await loginOptions())).expect(200);
+      await loginWith(authenticator.get(await loginOptions())).expect(200);
+
+      // A copy of the key taken before the last login
+      const [credentialId] = authenticator.credentials.keys();
+      authenticator.credentials.get(credentialId).signCount = 1;
+
+      const response = await loginWith(authenticator.get(await loginOptions())).expect(401);
+      expect(response.body.message).toMatch(/cloned/);
+    });
+
+    it('should reject an unknown passkey', async () => {
+      await Credential.deleteMany();
+
+      const response = await loginWith(authenticator.get(await loginOptions())).expect(401);
+      expect(response.body.message).toBe('Passkey is not registered');
+    });
+
+    it('should reject a locked account', async () => {
+      await User.updateOne(
+        { email: testUser.email },
+        { lockUntil: new Date(Date.now() + 60 * 1000) }
+      );
+
+      await loginWith(authenticator.get(await loginOptions())).expect(423);
+    });
+  });
+
+  // ==========================================
+  // Second factor
+  // ==========================================
+  describe('Second factor', () => {
+    let mfaToken;
+
+    beforeEach(async () => {
+      await register().expect(201);
+
+      // A registered passkey is enough to require a second factor
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+
+      expect(response.body.data.mfaRequired).toBe(true);
+      mfaToken = response.body.data.mfaToken;
+    });
+
+    const mfaOptions = async () => {
+      const response = await request(app)
+        .post('/api/auth/passkeys/mfa/options')
+        .send({ mfaToken })
+        .expect(200);
+      return response.body.data;
+    };
+
+    it('should complete the login with a passkey', async () => {
+      const options = await mfaOptions();
+      expect(options.allowCredentials).toHaveLength(1);
+
+      const response = await request(app)
+        .post('/api/auth/passkeys/mfa')
+        .send({ mfaToken, credential: authenticator.get(options, { userVerified: false }) })
+        .expect(200);
+
+      expect(response.body.data.token).toBeDefined();
+    });
+
+    it('should allow a single attempt per MFA token', async () => {
+      const options = await mfaOptions();
+      const credential = authenticator.get(options);
+      credential.response.signature = Buffer.alloc(64).toString('base64url');
+
+      await request(app)
+        .post('/api/auth/passkeys/mfa')
+        .send({ mfaToken, credential })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/passkeys/mfa')
+        .send({ mfaToken, credential: authenticator.get(options) })
+        .expect(401);
+    });
+
+    it('should reject garbage assertion data', async () => {
+      const credential = authenticator.get(await mfaOptions());
+      credential.response.authenticatorData = Buffer.alloc(37).toString('base64url');
+      credential.response.clientDataJSON = Buffer.from(JSON.stringify({
+        ...JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url')),
+        type: ['garbage']
+      })).toString('base64url');
+
+      const response = await request(app)
+        .post('/api/auth/passkeys/mfa')
+        .send({ mfaToken, credential })
+        .expect(401);
+
+      expect(response.body.message).toBe('Expected a webauthn.get response. Please log in again.');
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { validatePassword } = require('../utils/passwordPolicy');
+
+describe('Password Policy Tests', () => {
+  it('should accept a password that meets the policy', () => {
+    expect(validatePassword('password123')).toEqual([]);
+  });
+
+  it('should reject a missing password', () => {
+    expect(validatePassword(undefined)).toEqual(['Password is required']);
+  });
+
+  it('should reject a short password', () => {
+    expect(validatePassword('abc123')).toContain('Password must be at least 8 characters long');
+  });
+
+  it('should reject a password that is too long', () => {
+    expect(validatePassword(`a1${'x'.repeat(200)}`)).toContain('Password cannot exceed 128 characters');
+  });
+
+  it('should require both letters and numbers', () => {
+    const message = 'Password must contain at least one letter and one number';
+
+    expect(validatePassword('onlyletters')).toContain(message);
+    expect(validatePassword('1234567890')).toContain(message);
+  });
+});
@@ -0,0 +1,192 @@
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { readOutbox, clearOutbox } = require('../utils/mail/fileTransport');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), `outbox-reset-${process.pid}`);
+
+const testUser = {
+  name: 'Reset User',
+  email: 'reset@example.com',
+  password: 'password123'
+};
+
+const genericMessage = 'If an account with that email exists, a password reset link has been sent';
+
+// Pull the reset token out of the latest reset email
+const latestResetToken = async () => {
+  const messages = (await readOutbox()).filter(message => message.subject === 'Reset your password');
+  const { text } = messages[messages.length - 1];
+  return text.match(/token=([a-f0-9]+)/)[1];
+};
+
+describe('Password Reset Tests', () => {
+  let token;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await clearOutbox();
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(testUser);
+
+    token = response.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await clearOutbox();
+    await dbHandler.closeDatabase();
+  });
+
+  // ==========================================
+  // POST /api/auth/forgot-password
+  // ==========================================
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link and store only a hash of the token', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email })
+        .expect(200);
+
+      expect(response.body.message).toBe(genericMessage);
+
+      const resetToken = await latestResetToken();
+      const user = await User.findOne({ email: testUser.email })
+        .select('+passwordResetToken +passwordResetExpires');
+
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(resetToken);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should give the same response for an unknown email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'unknown@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toBe(genericMessage);
+
+      const resetEmails = (await readOutbox()).filter(message => message.subject === 'Reset your password');
+      expect(resetEmails).toHaveLength(0);
+    });
+
+    it('should fail without an email', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  // ==========================================
+  // POST /api/auth/reset-password
+  // ==========================================
+  describe('POST /api/auth/reset-password', () => {
+    let resetToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: testUser.email });
+      resetToken = await latestResetToken();
+    });
+
+    it('should reset the password and allow login with it', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'newPassword456' })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(401);
+    });
+
+    it('should hash the new password', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(200);
+
+      const user = await User.findOne({ email: testUser.email }).select('+password');
+      expect(user.password).toMatch(/^\$2[aby]\$.{56}$/);
+    });
+
+    it('should revoke all existing sessions', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(200);
+
+      expect(await Session.countDocuments({ revokedAt: null })).toBe(0);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should only accept a token once', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'otherPassword789' })
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject an expired token', async () => {
+      await User.updateOne(
+        { email: testUser.email },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newPassword456' })
+        .expect(400);
+    });
+
+    it('should enforce the password policy', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'short' })
+        .expect(400);
+
+      expect(response.body.message).toContain('at least 8 characters');
+    });
+
+    it('should fail without a token or password', async () => {
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ password: 'newPassword456' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+describe('Personal Access Token Tests', () => {
+  let token;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create(testAdmin);
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    token = response.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const createToken = (body) => {
+    return request(app)
+      .post('/api/auth/tokens')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+  };
+
+  // ==========================================
+  // Creating tokens
+  // ==========================================
+  describe('POST /api/auth/tokens', () => {
+    it('should return the token once and store only its hash', async () => {
+      const response = await createToken({ name: 'CI', scopes: ['users:read'], expiresInDays: 7 })
+        .expect(201);
+
+      const { token: pat, hint, expiresAt } = response.body.data;
+      expect(pat).toMatch(/^pat_/);
+      expect(pat.startsWith(hint)).toBe(true);
+      expect(new Date(expiresAt).getTime()).toBeLessThanOrEqual(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+      const stored = await PersonalAccessToken.findOne().select('+tokenHash');
+      expect(stored.tokenHash).not.toBe(pat);
+      expect(stored.tokenHash).toHaveLength(64);
+
+      const list = await request(app)
+        .get('/api/auth/tokens')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.count).toBe(1);
+      expect(list.body.data[0].token).toBeUndefined();
+      expect(list.body.data[0].tokenHash).toBeUndefined();
+    });
+
+    it('should reject unknown scopes', async () => {
+      const response = await createToken({ name: 'CI', scopes: ['everything'] }).expect(400);
+      expect(response.body.message).toContain("Unknown scope 'everything'");
+    });
+
+    it('should require an expiry within limits', async () => {
+      await createToken({ name: 'CI', expiresInDays: 0 }).expect(400);
+      await createToken({ name: 'CI', expiresInDays: 1000 }).expect(400);
+    });
+
+    it('should reject duplicate names', async () => {
+      await createToken({ name: 'CI' }).expect(201);
+      await createToken({ name: 'CI' }).expect(409);
+    });
+  });
+
+  // ==========================================
+  // Authenticating with tokens
+  // ==========================================
+  describe('Using tokens', () => {
+    const withToken = (pat, req) => req.set('Authorization', `Bearer ${pat}`);
+
+    it('should authenticate and record when the token was used', async () => {
+      const created = await createToken({ name: 'CI' });
+      const pat = created.body.data.token;
+
+      const response = await withToken(pat, request(app).get('/api/auth/me')).expect(200);
+      expect(response.body.data.email).toBe(testAdmin.email);
+
+      const stored = await PersonalAccessToken.findById(created.body.data._id);
+      expect(stored.lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('should only grant permissions within its scopes', async () => {
+      const readOnly = await createToken({ name: 'read', scopes: ['users:read'] });
+      const user = await User.create({ name: 'Victim', email: 'victim@example.com', password: 'password123' });
+
+      await withToken(readOnly.body.data.token, request(app).get('/api/users')).expect(200);
+      const response = await withToken(readOnly.body.data.token, request(app).delete(`/api/users/${user._id}`))
+        .expect(403);
+      expect(response.body.message).toBe('Missing permission: users:delete');
+    });
+
+    it('should never exceed the permissions of the user', async () => {
+      await User.updateOne({ email: testAdmin.email }, { role: 'user' });
+      const created = await createToken({ name: 'all', scopes: ['*'] });
+
+      await withToken(created.body.data.token, request(app).get('/api/users')).expect(403);
+    });
+
+    it('should not manage the login itself', async () => {
+      const created = await createToken({ name: 'CI', scopes: ['*'] });
+      const pat = created.body.data.token;
+
+      await withToken(pat, request(app).post('/api/auth/tokens')).send({ name: 'more' }).expect(403);
+      await withToken(pat, request(app).get('/api/auth/sessions')).expect(403);
+      await withToken(pat, request(app).put('/api/auth/password'))
+        .send({ currentPassword: testAdmin.password, newPassword: 'newpassword123' })
+        .expect(403);
+    });
+
+    it('should not change the account on behalf of the user', async () => {
+      const created = await createToken({ name: 'CI', scopes: ['*'] });
+      const pat = created.body.data.token;
+      const admin = await User.findOne({ email: testAdmin.email });
+
+      await withToken(pat, request(app).put(`/api/users/${admin._id}`))
+        .send({ email: 'attacker@example.com' })
+        .expect(403);
+      await withToken(pat, request(app).post('/api/organizations'))
+        .send({ name: 'Acme' })
+        .expect(403);
+
+      expect((await User.findById(admin._id)).email).toBe(testAdmin.email);
+    });
+
+    it('should reject expired, revoked and unknown tokens', async () => {
+      const created = await createToken({ name: 'CI' });
+      const pat = created.body.data.token;
+
+      await withToken('pat_doesnotexist', request(app).get('/api/auth/me')).expect(401);
+
+      await PersonalAccessToken.updateOne({}, { expiresAt: new Date(Date.now() - 1000) });
+      const expired = await withToken(pat, request(app).get('/api/auth/me')).expect(401);
+      expect(expired.body.message).toBe('Invalid or expired personal access token');
+
+      await PersonalAccessToken.updateOne({}, { expiresAt: new Date(Date.now() + 60000) });
+      await request(app)
+        .delete(`/api/auth/tokens/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      await withToken(pat, request(app).get('/api/auth/me')).expect(401);
+    });
+
+    it('should stop working when the user is deactivated', async () => {
+      const created = await createToken({ name: 'CI' });
+      await User.updateOne({ email: testAdmin.email }, { isActive: false });
+
+      await withToken(created.body.data.token, request(app).get('/api/auth/me')).expect(401);
+    });
+
+    it('should be revoked when the password changes', async () => {
+      const created = await createToken({ name: 'CI' });
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: testAdmin.password, newPassword: 'newPassword456' })
+        .expect(200);
+
+      await withToken(created.body.data.token, request(app).get('/api/auth/me')).expect(401);
+      expect(await PersonalAccessToken.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { requirePermission } = require('../middleware/auth');
+const { migrate } = require('../migrations');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+const testUser = {
+  name: 'Regular User',
+  email: 'user@example.com',
+  password: 'user1234'
+};
+
+describe('Role-Based Access Control Tests', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create(testAdmin);
+    const user = await User.create(testUser);
+    userId = user._id.toString();
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+    userToken = userLogin.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  // ==========================================
+  // Migration
+  // ==========================================
+  describe('Role migration', () => {
+    it('should create the built-in user and admin roles', async () => {
+      const roles = await Role.find().sort('name');
+
+      expect(roles.map(role => role.name)).toEqual(['admin', 'user']);
+      expect(roles[0].permissions).toEqual(['*']);
+      expect(roles[1].permissions).toEqual([]);
+      roles.forEach(role => expect(role.isSystem).toBe(true));
+    });
+
+    it('should not run twice', async () => {
+      await Role.updateOne({ name: 'user' }, { permissions: ['users:read'] });
+      await migrate();
+
+      const role = await Role.findOne({ name: 'user' });
+      expect(role.permissions).toEqual(['users:read']);
+    });
+  });
+
+  // ==========================================
+  // requirePermission Middleware
+  // ==========================================
+  describe('requirePermission middleware', () => {
+    const run = async (role, permissions) => {
+      const req = { user: { role } };
+      const res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      const next = jest.fn();
+
+      await requirePermission(...permissions)(req, res, next);
+      return { req, res, next };
+    };
+
+    it('should allow a wildcard role', async () => {
+      const { next } = await run('admin', ['users:read', 'roles:write']);
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should allow a role holding every permission', async () => {
+      await Role.create({ name: 'support', permissions: ['users:read', 'users:unlock'] });
+
+      const { req, next } = await run('support', ['users:read', 'users:unlock']);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.role.name).toBe('support');
+    });
+
+    it('should deny a role missing a permission', async () => {
+      await Role.create({ name: 'support', permissions: ['users:read'] });
+
+      const { res, next } = await run('support', ['users:read', 'users:delete']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Missing permission: users:delete'
+      });
+    });
+
+    it('should deny an unknown role', async () => {
+      const { res, next } = await run('ghost', ['users:read']);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  // ==========================================
+  // Role CRUD
+  // ==========================================
+  describe('Role management', () => {
+    it('should list roles and permissions', async () => {
+      const roles = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(roles.body.count).toBe(2);
+
+      const permissions = await request(app)
+        .get('/api/roles/permissions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(permissions.body.data).toContain('users:update:any');
+    });
+
+    it('should create, update and delete a role', async () => {
+      const created = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Support', permissions: ['users:read'] })
+        .expect(201);
+      expect(created.body.data.name).toBe('support');
+
+      const updated = await request(app)
+        .put('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['users:read', 'users:unlock'] })
+        .expect(200);
+      expect(updated.body.data.permissions).toEqual(['users:read', 'users:unlock']);
+
+      await request(app)
+        .delete('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(await Role.exists({ name: 'support' })).toBeNull();
+    });
+
+    it('should reject unknown permissions', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'support', permissions: ['users:everything'] })
+        .expect(400);
+
+      expect(response.body.message).toContain("Unknown permission 'users:everything'");
+    });
+
+    it('should reject duplicate role names', async () => {
+      await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'admin' })
+        .expect(400);
+    });
+
+    it('should not delete built-in roles', async () => {
+      const response = await request(app)
+        .delete('/api/roles/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.message).toBe('Built-in roles cannot be deleted');
+    });
+
+    it('should keep full access on the built-in admin role', async () => {
+      for (const permissions of [[], ['users:read']]) {
+        const response = await request(app)
+          .put('/api/roles/admin')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ permissions })
+          .expect(400);
+
+        expect(response.body.message).toBe("The built-in 'admin' role must keep the '*' permission");
+      }
+      expect((await Role.findOne({ name: 'admin' })).permissions).toEqual(['*']);
+
+      await request(app)
+        .put('/api/roles/admin')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ description: 'Operators' })
+        .expect(200);
+    });
+
+    it('should not delete a role that is still assigned', async () => {
+      await Role.create({ name: 'support' });
+      await User.findByIdAndUpdate(userId, { role: 'support' });
+
+      await request(app)
+        .delete('/api/roles/support')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should deny role management without permission', async () => {
+      const response = await request(app)
+        .post('/api/roles')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'support' })
+        .expect(403);
+
+      expect(response.body.message).toBe('Missing permission: roles:write');
+    });
+  });
+
+  // ==========================================
+  // Role Assignment
+  // ==========================================
+  describe('Role assignment', () => {
+    it('should assign an existing role', async () => {
+      await Role.create({ name: 'support', permissions: ['users:read'] });
+
+      const response = await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'support' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('support');
+    });
+
+    it('should reject a role that does not exist', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superadmin' })
+        .expect(400);
+
+      expect(response.body.message).toBe("Role 'superadmin' does not exist");
+    });
+
+    it('should not let users change their own role', async () => {
+      await request(app)
+        .put(`/api/users/${userId}/role`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      const admin = await User.findOne({ email: testAdmin.email });
+      const response = await request(app)
+        .put(`/api/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'user' })
+        .expect(400);
+
+      expect(response.body.message).toBe('You cannot change your own role');
+    });
+
+    it('should grant access through the assigned role', async () => {
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      await Role.create({ name: 'support', permissions: ['users:read'] });
+      await User.findByIdAndUpdate(userId, { role: 'support' });
+
+      await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../../app');
+const Session = require('../models/Session');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Session User',
+  email: 'session@example.com',
+  password: 'password123'
+};
+
+describe('Session Management Tests', () => {
+  let token;
+  let refreshToken;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .set('User-Agent', 'Desktop Browser')
+      .send(testUser);
+
+    token = response.body.data.token;
+    refreshToken = response.body.data.refreshToken;
+  });
+
+  const login = (userAgent) => {
+    return request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: testUser.email, password: testUser.password });
+  };
+
+  // ==========================================
+  // Session creation
+  // ==========================================
+  describe('Session creation', () => {
+    it('should record a session on registration', async () => {
+      const sessions = await Session.find();
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].userAgent).toBe('Desktop Browser');
+      expect(sessions[0].ip).toBeDefined();
+      expect(sessions[0].createdAt).toBeDefined();
+      expect(sessions[0].lastUsedAt).toBeDefined();
+    });
+
+    it('should record a new session on every login', async () => {
+      await login('Mobile App').expect(200);
+
+      const sessions = await Session.find();
+      expect(sessions).toHaveLength(2);
+    });
+  });
+
+  // ==========================================
+  // GET /api/auth/sessions
+  // ==========================================
+  describe('GET /api/auth/sessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      await login('Mobile App');
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.count).toBe(2);
+
+      const current = response.body.data.filter(session => session.current);
+      expect(current).toHaveLength(1);
+      expect(current[0].userAgent).toBe('Desktop Browser');
+    });
+
+    it('should not list revoked sessions', async () => {
+      const mobile = await login('Mobile App');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${mobile.body.data.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+    });
+
+    it('should fail without authentication', async () => {
+      await request(app)
+        .get('/api/auth/sessions')
+        .expect(401);
+    });
+  });
+
+  // ==========================================
+  // DELETE /api/auth/sessions/:id
+  // ==========================================
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke a session and reject its tokens immediately', async () => {
+      const mobile = await login('Mobile App');
+      const session = await Session.findOne({ userAgent: 'Mobile App' });
+
+      await request(app)
+        .delete(`/api/auth/sessions/${session._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${mobile.body.data.token}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Session has expired or been revoked');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: mobile.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Other User', email: 'other@example.com', password: 'password123' });
+      const otherSession = await Session.findOne({ user: other.body.data.user._id });
+
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+
+      expect(response.body.message).toBe('Session not found');
+    });
+
+    it('should return 404 for an unknown session', async () => {
+      await request(app)
+        .delete(`/api/auth/sessions/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  // ==========================================
+  // POST /api/auth/sessions/revoke-others
+  // ==========================================
+  describe('POST /api/auth/sessions/revoke-others', () => {
+    it('should revoke every session except the current one', async () => {
+      const mobile = await login('Mobile App');
+      const tablet = await login('Tablet');
+
+      const response = await request(app)
+        .post('/api/auth/sessions/revoke-others')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.count).toBe(2);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${mobile.body.data.token}`)
+        .expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${tablet.body.data.token}`)
+        .expect(401);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    });
+  });
+
+  // ==========================================
+  // Refresh tokens and sessions
+  // ==========================================
+  describe('Refreshing tokens', () => {
+    it('should keep the same session when refreshing', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      const sessions = await Session.find();
+      expect(sessions).toHaveLength(1);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the session when a refresh token is reused', async () => {
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+      await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+
+      const session = await Session.findOne();
+      expect(session.revokedAt).not.toBeNull();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+  });
+});
@@ -1,12 +1,18 @@
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
+const { migrate } = require('../migrations');
 
 let mongod;
 
+// Retry right after a failed login without waiting out the login delay.
+// Tests of the delay itself set their own.
+process.env.LOGIN_DELAY_BASE_MS = '0';
+
 const connect = async () => {
   mongod = await MongoMemoryServer.create();
   const uri = mongod.getUri();
   await mongoose.connect(uri);
+  await migrate();
 };
 
 const closeDatabase = async () => {
@@ -23,6 +29,9 @@ const clearDatabase = async () => {
     const collection = collections[key];
     await collection.deleteMany({});
   }
+
+  // Leave the database as a fresh deployment would find it
+  await migrate();
 };
 
 module.exports = {
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const LinkedIdentity = require('../models/LinkedIdentity');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testUser = {
+  name: 'Test User',
+  email: 'test@example.com',
+  password: 'password123'
+};
+
+// A minimal OpenID Connect provider. Tests decide which profile the next
+// authorization code stands for, as if the user had logged in there.
+const createStubProvider = () => {
+  const provider = express();
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer;
+
+  provider.use(express.urlencoded({ extended: false }));
+
+  provider.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`
+    });
+  });
+
+  provider.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = req.body.code_verifier &&
+      crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (!grant || req.body.client_secret !== 'stub-secret' || challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.profile);
+    res.json({ access_token: accessToken, token_type: 'Bearer' });
+  });
+
+  provider.get('/userinfo', (req, res) => {
+    const profile = accessTokens.get((req.headers.authorization || '').replace('Bearer ', ''));
+    if (!profile) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json(profile);
+  });
+
+  return {
+    start: () => new Promise((resolve) => {
+      const server = provider.listen(0, '127.0.0.1', () => {
+        issuer = `http://127.0.0.1:${server.address().port}`;
+        resolve({ server, issuer });
+      });
+    }),
+    // Log in at the provider: issue a code for the authorization URL we were sent to
+    login: (authorizationUrl, profile) => {
+      const url = new URL(authorizationUrl);
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { profile, codeChallenge: url.searchParams.get('code_challenge') });
+      return { code, state: url.searchParams.get('state') };
+    }
+  };
+};
+
+describe('Social Login Tests', () => {
+  const stub = createStubProvider();
+  let server;
+
+  const profile = (overrides = {}) => ({
+    sub: 'stub-user-1',
+    email: 'social@example.com',
+    email_verified: true,
+    name: 'Social User',
+    ...overrides
+  });
+
+  // Go through the provider and hit the callback with what it sent back,
+  // from the browser that started the sign-in
+  const completeLogin = async (browser, authorizationUrl, claims) => {
+    const { code, state } = stub.login(authorizationUrl, claims);
+    return browser.get('/api/auth/oauth/stub/callback').query({ code, state });
+  };
+
+  const signIn = async (claims) => {
+    const browser = request.agent(app);
+    const started = await browser.get('/api/auth/oauth/stub').expect(200);
+    return completeLogin(browser, started.body.data.url, claims);
+  };
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+    const started = await stub.start();
+    server = started.server;
+
+    process.env.SOCIAL_PROVIDERS = 'stub';
+    process.env.SOCIAL_STUB_ISSUER = started.issuer;
+    process.env.SOCIAL_STUB_CLIENT_ID = 'stub-client';
+    process.env.SOCIAL_STUB_CLIENT_SECRET = 'stub-secret';
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    delete process.env.SOCIAL_PROVIDERS;
+    await new Promise(resolve => server.close(resolve));
+    await dbHandler.closeDatabase();
+  });
+
+  describe('GET /api/auth/oauth/:provider', () => {
+    it('should list configured providers', async () => {
+      const response = await request(app).get('/api/auth/oauth').expect(200);
+      expect(response.body.data).toEqual(['stub']);
+    });
+
+    it('should send the user to the provider with state and PKCE', async () => {
+      const response = await request(app).get('/api/auth/oauth/stub').expect(200);
+      const url = new URL(response.body.data.url);
+
+      expect(url.pathname).toBe('/authorize');
+      expect(url.searchParams.get('client_id')).toBe('stub-client');
+      expect(url.searchParams.get('state')).toBeTruthy();
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
+    it('should return 404 for unknown providers', async () => {
+      await request(app).get('/api/auth/oauth/myspace').expect(404);
+    });
+  });
+
+  describe('GET /api/auth/oauth/:provider/callback', () => {
+    it('should create a user on first login', async () => {
+      const response = await signIn(profile()).expect(201);
+
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.user.email).toBe('social@example.com');
+      expect(response.body.data.user.emailVerified).toBe(true);
+      expect(await LinkedIdentity.countDocuments({ provider: 'stub', subject: 'stub-user-1' })).toBe(1);
+
+      // The next login finds the same user
+      const again = await signIn(profile()).expect(200);
+      expect(again.body.data.user._id).toBe(response.body.data.user._id);
+    });
+
+    it('should link to an existing user with the same verified email', async () => {
+      const user = await User.create({ ...testUser, emailVerified: true });
+
+      const response = await signIn(profile({ email: testUser.email })).expect(200);
+
+      expect(response.body.data.user._id).toBe(user._id.toString());
+      expect(await LinkedIdentity.exists({ user: user._id, provider: 'stub' })).toBeTruthy();
+    });
+
+    it('should not take over accounts on an unverified email', async () => {
+      await User.create({ ...testUser, emailVerified: true });
+      await signIn(profile({ email: testUser.email, email_verified: false })).expect(400);
+
+      await User.updateOne({ email: testUser.email }, { emailVerified: false });
+      await signIn(profile({ email: testUser.email })).expect(409);
+
+      expect(await LinkedIdentity.countDocuments()).toBe(0);
+    });
+
+    it('should not create users from an unverified email', async () => {
+      await signIn(profile({ email_verified: false })).expect(400);
+
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should reject unknown or reused state', async () => {
+      const browser = request.agent(app);
+      const started = await browser.get('/api/auth/oauth/stub').expect(200);
+      const { code, state } = stub.login(started.body.data.url, profile());
+
+      await browser.get('/api/auth/oauth/stub/callback').query({ code, state: 'forged' }).expect(400);
+      await browser.get('/api/auth/oauth/stub/callback').query({ code, state }).expect(201);
+      await browser.get('/api/auth/oauth/stub/callback').query({ code, state }).expect(400);
+    });
+
+    it('should only finish sign-ins started in the same browser', async () => {
+      const started = await request(app).get('/api/auth/oauth/stub').expect(200);
+
+      // e.g. an attacker sending the victim their own callback link
+      await completeLogin(request.agent(app), started.body.data.url, profile()).expect(400);
+      expect(await User.countDocuments()).toBe(0);
+    });
+
+    it('should ask for the second factor when MFA is enabled', async () => {
+      await signIn(profile()).expect(201);
+      await User.updateOne({ email: 'social@example.com' }, { mfaEnabled: true });
+
+      const response = await signIn(profile()).expect(200);
+      expect(response.body.data.mfaRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+    });
+  });
+
+  describe('Linking accounts', () => {
+    let token;
+
+    beforeEach(async () => {
+      await User.create(testUser);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password });
+      token = login.body.data.token;
+    });
+
+    const link = async (claims) => {
+      const browser = request.agent(app);
+      const started = await browser
+        .post('/api/auth/identities/stub')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      return completeLogin(browser, started.body.data.url, claims);
+    };
+
+    it('should link and unlink a provider account', async () => {
+      // The provider email does not need to match
+      await link(profile({ email: 'someone.else@example.com' })).expect(200);
+
+      const list = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].provider).toBe('stub');
+
+      // Logging in with the linked account now gives this user
+      const login = await signIn(profile()).expect(200);
+      expect(login.body.data.user.email).toBe(testUser.email);
+
+      await request(app)
+        .delete('/api/auth/identities/stub')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(await LinkedIdentity.countDocuments()).toBe(0);
+    });
+
+    it('should not link an account that belongs to another user', async () => {
+      await signIn(profile()).expect(201);
+
+      await link(profile()).expect(409);
+    });
+
+    it('should require a logged-in user', async () => {
+      await request(app).post('/api/auth/identities/stub').expect(401);
+      await request(app).get('/api/auth/identities').expect(401);
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const Organization = require('../models/Organization');
+const AuditEvent = require('../models/AuditEvent');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+const testUser = {
+  name: 'Regular User',
+  email: 'user@example.com',
+  password: 'user1234'
+};
+
+describe('Soft Delete Tests', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let userId;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    const admin = await User.create(testAdmin);
+    adminId = admin._id.toString();
+    const user = await User.create(testUser);
+    userId = user._id.toString();
+
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    adminToken = adminLogin.body.data.token;
+
+    const userLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+    userToken = userLogin.body.data.token;
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const deleteUser = () => {
+    return request(app)
+      .delete(`/api/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  };
+
+  const login = () => {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password });
+  };
+
+  // ==========================================
+  // DELETE /api/users/:id
+  // ==========================================
+  describe('DELETE /api/users/:id', () => {
+    it('should hide the user from queries but keep the document', async () => {
+      await deleteUser();
+
+      expect(await User.findById(userId)).toBeNull();
+      expect(await User.countDocuments()).toBe(1);
+
+      const stored = await User.findById(userId).setOptions({ withDeleted: true });
+      expect(stored.deletedAt).toBeInstanceOf(Date);
+      expect(stored.deletedBy.toString()).toBe(adminId);
+
+      await request(app)
+        .get(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should log the user out and refuse logins', async () => {
+      await deleteUser();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(401);
+
+      await login().expect(401);
+    });
+
+    it('should not delete a user twice', async () => {
+      await deleteUser();
+
+      await request(app)
+        .delete(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should keep the email taken', async () => {
+      await deleteUser();
+
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Someone Else', email: testUser.email, password: 'password123' })
+        .expect(400);
+    });
+  });
+
+  // ==========================================
+  // GET /api/users?deleted=true
+  // ==========================================
+  describe('GET /api/users?deleted=true', () => {
+    it('should list only deleted users', async () => {
+      await deleteUser();
+
+      const deleted = await request(app)
+        .get('/api/users')
+        .query({ deleted: 'true' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(deleted.body.total).toBe(1);
+      expect(deleted.body.data[0]._id).toBe(userId);
+      expect(deleted.body.data[0].deletedBy).toBe(adminId);
+
+      const active = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(active.body.total).toBe(1);
+      expect(active.body.data[0]._id).toBe(adminId);
+    });
+
+    it('should page through deleted users with cursors', async () => {
+      const other = await User.create({ name: 'Other User', email: 'other@example.com', password: 'other123' });
+      await deleteUser();
+      await User.updateOne({ _id: other._id }, { deletedAt: new Date(), deletedBy: adminId });
+
+      const list = (cursor) => request(app)
+        .get('/api/users')
+        .query({ deleted: 'true', limit: 1, sort: 'email', cursor })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const first = await list('');
+      const second = await list(first.body.nextCursor);
+      expect([...first.body.data, ...second.body.data].map(user => user.email))
+        .toEqual(['other@example.com', testUser.email]);
+    });
+
+    it('should reject an invalid value', async () => {
+      await request(app)
+        .get('/api/users')
+        .query({ deleted: 'maybe' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+  });
+
+  // ==========================================
+  // POST /api/users/:id/restore
+  // ==========================================
+  describe('POST /api/users/:id/restore', () => {
+    it('should restore a deleted user', async () => {
+      await deleteUser();
+
+      const response = await request(app)
+        .post(`/api/users/${userId}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(response.body.data.deletedAt).toBeNull();
+
+      await login().expect(200);
+      expect(await AuditEvent.exists({ action: 'user.restore', 'target.id': userId })).toBeTruthy();
+    });
+
+    it('should return 404 for users that are not deleted', async () => {
+      await request(app)
+        .post(`/api/users/${userId}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should return 404 for an invalid id', async () => {
+      await request(app)
+        .post('/api/users/invalid-id/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should require the users:delete permission', async () => {
+      await request(app)
+        .post(`/api/users/${adminId}/restore`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  // ==========================================
+  // DELETE /api/users/:id/purge
+  // ==========================================
+  describe('DELETE /api/users/:id/purge', () => {
+    const purge = () => {
+      return request(app)
+        .delete(`/api/users/${userId}/purge`)
+        .set('Authorization', `Bearer ${adminToken}`);
+    };
+
+    it('should only purge deleted users', async () => {
+      await purge().expect(404);
+
+      expect(await User.exists({ _id: userId })).toBeTruthy();
+    });
+
+    it('should return 404 for an invalid id', async () => {
+      await request(app)
+        .delete('/api/users/invalid-id/purge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should remove the user and its data for good', async () => {
+      const organization = await Organization.create({ name: 'Acme', createdBy: userId });
+      await Membership.create({ user: userId, organization: organization._id, role: 'owner' });
+
+      await deleteUser();
+      await purge().expect(200);
+
+      expect(await User.exists({ _id: userId }).setOptions({ withDeleted: true })).toBeNull();
+      expect(await Membership.exists({ user: userId })).toBeNull();
+      expect((await Organization.findById(organization._id)).createdBy).toBeNull();
+    });
+
+    it('should allow registering the email again', async () => {
+      await deleteUser();
+      await purge().expect(200);
+
+      await request(app)
+        .post('/api/auth/register')
+        .send(testUser)
+        .expect(201);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const totp = require('../utils/totp');
+const { generateBackupCodes, hashBackupCode } = require('../utils/backupCodes');
+
+// RFC 6238 appendix B test secret ("12345678901234567890" in ASCII)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Tests', () => {
+  describe('Base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 17, 42]);
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('Code generation', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    });
+
+    it('should generate a 160-bit base32 secret', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('Code verification', () => {
+    const time = 1111111109 * 1000;
+
+    it('should accept the current code and return its step', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { time })).toBe(Math.floor(1111111109 / 30));
+    });
+
+    it('should accept codes from adjacent steps within the window', () => {
+      const previous = totp.generateCode(RFC_SECRET, time - 30 * 1000);
+      expect(totp.verifyCode(RFC_SECRET, previous, { time })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = totp.generateCode(RFC_SECRET, time - 90 * 1000);
+      expect(totp.verifyCode(RFC_SECRET, old, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    });
+  });
+
+  describe('otpauth URI', () => {
+    it('should include the secret, issuer and account', () => {
+      const uri = totp.buildOtpauthUri({ secret: RFC_SECRET, account: 'john@example.com', issuer: 'REST API Auth' });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/REST%20API%20Auth%3Ajohn%40example\.com\?/);
+      expect(uri).toContain(`secret=${RFC_SECRET}`);
+      expect(uri).toContain('period=30');
+    });
+  });
+
+  describe('Backup codes', () => {
+    it('should generate ten distinct codes with matching hashes', () => {
+      const { codes, hashes } = generateBackupCodes();
+
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+      expect(hashes).toEqual(codes.map(hashBackupCode));
+    });
+
+    it('should ignore dashes and case when hashing', () => {
+      expect(hashBackupCode('ABCDE-12345')).toBe(hashBackupCode('abcde12345'));
+    });
+  });
+});
@@ -70,6 +70,9 @@ describe('User Management Tests', () => {
       .post('/api/auth/register')
       .send(otherUser);
     otherId = otherResponse.body.data.user._id;
+
+    // Profile updates require a verified email address
+    await User.updateMany({}, { emailVerified: true });
   });
 
   // ==========================================
@@ -149,9 +152,10 @@ describe('User Management Tests', () => {
       const response = await request(app)
         .get('/api/users/invalid-id')
         .set('Authorization', `Bearer ${userToken}`)
-        .expect(500);
+        .expect(404);
 
       expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('User not found');
     });
 
     it('should return 404 for non-existent user', async () => {
@@ -188,6 +192,29 @@ describe('User Management Tests', () => {
       expect(response.body.data.email).toBe(updateData.email);
     });
 
+    it('should require verifying a changed email again', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ email: 'changed@example.com' })
+        .expect(200);
+
+      expect(response.body.data.emailVerified).toBe(false);
+
+      const user = await User.findById(userId).select('+emailVerificationSentAt');
+      expect(user.emailVerificationSentAt).toBeInstanceOf(Date);
+    });
+
+    it('should keep the verified status when the email is unchanged', async () => {
+      const response = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Same Email', email: testUser.email })
+        .expect(200);
+
+      expect(response.body.data.emailVerified).toBe(true);
+    });
+
     it('should allow admin to update any user', async () => {
       const updateData = {
         name: 'Admin Updated Name',
@@ -240,6 +267,19 @@ describe('User Management Tests', () => {
       expect(response.body.message).toBe('User not found');
     });
 
+    it('should fail when the user has not verified their email', async () => {
+      await User.findByIdAndUpdate(userId, { emailVerified: false });
+
+      const response = await request(app)
+        .put(`/api/users/${userId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Unverified Name' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Please verify your email address to access this route');
+    });
+
     it('should validate email format on update', async () => {
       const response = await request(app)
         .put(`/api/users/${userId}`)
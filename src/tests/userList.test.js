@@ -0,0 +1,232 @@
+const request = require('supertest');
+const { app } = require('../../app');
+const User = require('../models/User');
+const dbHandler = require('./setup');
+require('dotenv').config();
+
+const testAdmin = {
+  name: 'Admin User',
+  email: 'admin@example.com',
+  password: 'admin123',
+  role: 'admin'
+};
+
+describe('User Listing Tests', () => {
+  let adminToken;
+
+  beforeAll(async () => {
+    await dbHandler.connect();
+  });
+
+  beforeEach(async () => {
+    await User.create(testAdmin);
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: testAdmin.email, password: testAdmin.password });
+    adminToken = response.body.data.token;
+
+    // 25 regular users created one day apart; every fifth one is inactive
+    await User.insertMany(Array.from({ length: 25 }, (_, i) => ({
+      name: `Member ${String(i).padStart(2, '0')}`,
+      email: `member${i}@example.com`,
+      password: 'hashed-elsewhere',
+      isActive: i % 5 !== 0,
+      createdAt: new Date(Date.UTC(2024, 0, i + 1))
+    })));
+  });
+
+  afterEach(async () => {
+    await dbHandler.clearDatabase();
+  });
+
+  afterAll(async () => {
+    await dbHandler.closeDatabase();
+  });
+
+  const list = (query) => {
+    return request(app)
+      .get('/api/users')
+      .query(query)
+      .set('Authorization', `Bearer ${adminToken}`);
+  };
+
+  // ==========================================
+  // Page/limit pagination
+  // ==========================================
+  describe('Page pagination', () => {
+    it('should return the first page with totals by default', async () => {
+      const response = await list({}).expect(200);
+
+      expect(response.body.count).toBe(20);
+      expect(response.body.total).toBe(26);
+      expect(response.body.page).toBe(1);
+      expect(response.body.pages).toBe(2);
+    });
+
+    it('should return the requested page', async () => {
+      const response = await list({ page: 3, limit: 10 }).expect(200);
+
+      expect(response.body.count).toBe(6);
+      expect(response.body.page).toBe(3);
+      expect(response.body.pages).toBe(3);
+    });
+
+    it('should cap the limit', async () => {
+      const response = await list({ limit: 1000 }).expect(200);
+      expect(response.body.count).toBe(26);
+    });
+
+    it('should send Link headers', async () => {
+      const response = await list({ page: 2, limit: 10 }).expect(200);
+      const link = response.headers.link;
+
+      expect(link).toContain('rel="first"');
+      expect(link).toContain('page=1&limit=10>; rel="prev"');
+      expect(link).toContain('page=3&limit=10>; rel="next"');
+      expect(link).toContain('page=3&limit=10>; rel="last"');
+    });
+
+    it('should reject an invalid page', async () => {
+      const response = await list({ page: 0 }).expect(400);
+      expect(response.body.message).toBe("'page' must be a positive integer");
+    });
+  });
+
+  // ==========================================
+  // Cursor pagination
+  // ==========================================
+  describe('Cursor pagination', () => {
+    it('should walk every user exactly once', async () => {
+      const seen = [];
+      let cursor = '';
+
+      do {
+        const response = await list({ cursor, limit: 7, sort: 'name' }).expect(200);
+        expect(response.body.total).toBe(26);
+        seen.push(...response.body.data.map(user => user.name));
+        cursor = response.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(26);
+      expect(new Set(seen).size).toBe(26);
+      expect([...seen].sort()).toEqual(seen);
+    });
+
+    it('should link to the next page', async () => {
+      const response = await list({ cursor: '', limit: 5 }).expect(200);
+
+      expect(response.body.nextCursor).toBeDefined();
+      expect(response.headers.link).toContain('rel="next"');
+      expect(response.headers.link).toContain(`cursor=${response.body.nextCursor}`);
+    });
+
+    it('should work with date sorting', async () => {
+      const first = await list({ cursor: '', limit: 10, sort: 'createdAt' }).expect(200);
+      const second = await list({ cursor: first.body.nextCursor, limit: 10, sort: 'createdAt' }).expect(200);
+
+      const lastOfFirst = new Date(first.body.data[9].createdAt);
+      const firstOfSecond = new Date(second.body.data[0].createdAt);
+      expect(firstOfSecond.getTime()).toBeGreaterThan(lastOfFirst.getTime());
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await list({ cursor: 'not-a-cursor' }).expect(400);
+      expect(response.body.message).toBe('Invalid cursor');
+    });
+
+    it('should reject a cursor with a bad id or value', async () => {
+      const encode = (parts) => Buffer.from(JSON.stringify(parts)).toString('base64url');
+
+      const badId = await list({ cursor: encode(['Member 01', false, 'not-an-id']) }).expect(400);
+      expect(badId.body.message).toBe('Invalid cursor');
+
+      const badDate = await list({
+        cursor: encode(['yesterday', true, '507f1f77bcf86cd799439011']),
+        sort: 'createdAt'
+      }).expect(400);
+      expect(badDate.body.message).toBe('Invalid cursor');
+
+      await list({ cursor: encode({ value: 1 }) }).expect(400);
+    });
+
+    it('should page with fields that leave out the sort field', async () => {
+      const first = await list({ cursor: '', limit: 10, fields: 'name' }).expect(200);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await list({ cursor: first.body.nextCursor, limit: 10, fields: 'name' }).expect(200);
+      const firstNames = first.body.data.map(user => user.name);
+      expect(second.body.data).toHaveLength(10);
+      second.body.data.forEach(user => expect(firstNames).not.toContain(user.name));
+    });
+  });
+
+  // ==========================================
+  // Filtering, search and sorting
+  // ==========================================
+  describe('Filtering', () => {
+    it('should filter by role', async () => {
+      const response = await list({ role: 'admin' }).expect(200);
+
+      expect(response.body.total).toBe(1);
+      expect(response.body.data[0].email).toBe(testAdmin.email);
+    });
+
+    it('should filter by isActive', async () => {
+      const response = await list({ isActive: 'false' }).expect(200);
+
+      expect(response.body.total).toBe(5);
+      response.body.data.forEach(user => expect(user.isActive).toBe(false));
+    });
+
+    it('should filter by creation date range', async () => {
+      const response = await list({
+        createdAfter: '2024-01-10T00:00:00Z',
+        createdBefore: '2024-01-14T00:00:00Z'
+      }).expect(200);
+
+      expect(response.body.total).toBe(5);
+    });
+
+    it('should search name and email case-insensitively', async () => {
+      const byName = await list({ search: 'MEMBER 1' }).expect(200);
+      expect(byName.body.total).toBe(10);
+
+      const byEmail = await list({ search: 'member7@' }).expect(200);
+      expect(byEmail.body.total).toBe(1);
+    });
+
+    it('should treat search input literally', async () => {
+      const response = await list({ search: '.*' }).expect(200);
+      expect(response.body.total).toBe(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      await list({ isActive: 'maybe' }).expect(400);
+      await list({ createdAfter: 'yesterday' }).expect(400);
+    });
+  });
+
+  describe('Sorting and fields', () => {
+    it('should sort on whitelisted fields', async () => {
+      const response = await list({ sort: '-name', limit: 3 }).expect(200);
+
+      expect(response.body.data.map(user => user.name)).toEqual(['Member 24', 'Member 23', 'Member 22']);
+    });
+
+    it('should reject sorting on other fields', async () => {
+      const response = await list({ sort: 'password' }).expect(400);
+      expect(response.body.message).toContain("Cannot sort by 'password'");
+    });
+
+    it('should return only the requested fields', async () => {
+      const response = await list({ fields: 'name,email', limit: 1 }).expect(200);
+
+      expect(Object.keys(response.body.data[0]).sort()).toEqual(['_id', 'email', 'name']);
+    });
+
+    it('should reject unknown or sensitive fields', async () => {
+      const response = await list({ fields: 'name,password' }).expect(400);
+      expect(response.body.message).toBe('Unknown fields: password');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Membership = require('../models/Membership');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const LinkedIdentity = require('../models/LinkedIdentity');
+const Credential = require('../models/Credential');
+const WebAuthnChallenge = require('../models/WebAuthnChallenge');
+const SocialLoginRequest = require('../models/SocialLoginRequest');
+const LoginEvent = require('../models/LoginEvent');
+const OAuthClient = require('../models/OAuthClient');
+const AuthorizationCode = require('../models/AuthorizationCode');
+const { sendMail } = require('./mail');
+const templates = require('./mail/templates');
+const { recordAuditEvent, userTarget } = require('./audit');
+
+const DEFAULT_GRACE_DAYS = 30;
+
+// Days between a deletion request and the purge, from ACCOUNT_DELETION_GRACE_DAYS
+const gracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || DEFAULT_GRACE_DAYS;
+
+// Deactivate the account, log it out everywhere and schedule the purge.
+// Returns when the account will be purged.
+const scheduleAccountDeletion = async (user) => {
+  const deletionScheduledFor = new Date(Date.now() + gracePeriodDays() * 24 * 60 * 60 * 1000);
+
+  await User.updateOne({ _id: user._id }, { isActive: false, deletionScheduledFor });
+  await Session.revokeAllForUser(user._id);
+
+  // The deletion stands even if the email cannot be sent
+  try {
+    await sendMail({
+      to: user.email,
+      ...templates.accountDeletionScheduled({
+        name: user.name,
+        date: deletionScheduledFor.toUTCString()
+      })
+    });
+  } catch (error) {
+    console.error(`Failed to send account deletion email: ${error.message}`);
+  }
+
+  return deletionScheduledFor;
+};
+
+// Accounts waiting for deletion are inactive but may still log in, which
+// cancels the deletion
+const mayLogIn = (user) => user.isActive || !!user.deletionScheduledFor;
+
+// Logging in during the grace period keeps the account. Returns whether a
+// deletion was cancelled; `user` is updated in place.
+const cancelAccountDeletion = async (req, user) => {
+  if (!user.deletionScheduledFor) return false;
+
+  const cancelled = await User.updateOne(
+    { _id: user._id, deletionScheduledFor: { $ne: null } },
+    { isActive: true, deletionScheduledFor: null }
+  );
+  if (!cancelled.modifiedCount) return false;
+
+  user.isActive = true;
+  user.deletionScheduledFor = null;
+
+  await recordAuditEvent(req, {
+    action: 'user.deletion.cancel',
+    actor: user._id,
+    target: userTarget(user)
+  });
+  return true;
+};
+
+// Remove what only exists for a user whose document was deleted. Records
+// other people still use lose the reference instead: organizations they
+// created and invitations they sent. Audit events keep the bare id, which
+// no longer leads anywhere; rewriting them would break the hash chain.
+const removeUserData = async (userId) => {
+  // Clients the user registered go, with everything granted to them
+  const clients = await OAuthClient.find({ owner: userId }).distinct('clientId');
+
+  await Promise.all([
+    Session.deleteMany({ $or: [{ user: userId }, { client: { $in: clients } }] }),
+    AuthorizationCode.deleteMany({ $or: [{ user: userId }, { client: { $in: clients } }] }),
+    OAuthClient.deleteMany({ owner: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    Membership.deleteMany({ user: userId }),
+    PersonalAccessToken.deleteMany({ user: userId }),
+    LinkedIdentity.deleteMany({ user: userId }),
+    Credential.deleteMany({ user: userId }),
+    WebAuthnChallenge.deleteMany({ user: userId }),
+    SocialLoginRequest.deleteMany({ user: userId }),
+    LoginEvent.deleteMany({ user: userId }),
+    // Revocations must outlive the user until the tokens expire
+    RevokedToken.updateMany({ user: userId }, { user: null }),
+    Organization.updateMany({ createdBy: userId }, { createdBy: null }),
+    Invitation.updateMany({ invitedBy: userId }, { invitedBy: null })
+  ]);
+};
+
+// Claim the next account whose grace period is over by deleting it, so
+// instances purging at the same time never take the same account.
+// Accounts an admin soft-deleted in the meantime are purged too.
+const claimNextDue = () => User.findOneAndDelete(
+  { deletionScheduledFor: { $lte: new Date() } },
+  { withDeleted: true }
+);
+
+// Purge every account whose grace period is over. Returns how many
+// accounts were purged.
+const purgeScheduledDeletions = async () => {
+  let purged = 0;
+
+  for (let user = await claimNextDue(); user; user = await claimNextDue()) {
+    await removeUserData(user._id);
+    await recordAuditEvent(null, { action: 'user.purge', target: userTarget(user) });
+    purged += 1;
+  }
+  return purged;
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  mayLogIn,
+  removeUserData,
+  purgeScheduledDeletions
+};
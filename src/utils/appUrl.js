@@ -0,0 +1,7 @@
+// Absolute URL of this API, used in links sent to users and in token issuers
+const appUrl = (path = '') => {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${base.replace(/\/+$/, '')}${path}`;
+};
+
+module.exports = appUrl;
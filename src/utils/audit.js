@@ -0,0 +1,27 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Record a security-relevant event for the current request, or for a
+// background job when `req` is null. Failing to write the audit log fails
+// the request too, so nothing happens without a record of it.
+const recordAuditEvent = async (req, { action, outcome = 'success', actor, target, details }) => {
+  try {
+    await AuditEvent.append({
+      action,
+      outcome,
+      actor: actor !== undefined ? actor : (req && req.user ? req.user._id : null),
+      target: target && { type: target.type, id: String(target.id) },
+      ip: (req && req.ip) || null,
+      userAgent: (req && req.get('User-Agent')) || null,
+      requestId: (req && req.id) || null,
+      details
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}: ${error.message}`);
+    throw new Error('Failed to record the audit event');
+  }
+};
+
+// Target reference for a user
+const userTarget = (user) => ({ type: 'user', id: user._id || user });
+
+module.exports = { recordAuditEvent, userTarget };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+
+let signingKey = null;
+
+// Key that signs checkpoints, from AUDIT_SIGNING_KEY (a PEM private key).
+// It is kept out of the database so whoever can write audit events cannot
+// also forge checkpoints. Outside production a key is generated per
+// process, and checkpoints signed before a restart can no longer be verified.
+const getSigningKey = () => {
+  if (!signingKey) {
+    const pem = process.env.AUDIT_SIGNING_KEY;
+
+    if (!pem && process.env.NODE_ENV === 'production') {
+      throw new Error('AUDIT_SIGNING_KEY must be set in production');
+    }
+
+    const privateKey = pem
+      ? crypto.createPrivateKey(pem.replace(/\\n/g, '\n'))
+      : crypto.generateKeyPairSync('ed25519').privateKey;
+    const publicKey = crypto.createPublicKey(privateKey);
+
+    signingKey = {
+      privateKey,
+      publicKey,
+      keyId: crypto.createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex'),
+      // Ed25519 and Ed448 hash internally
+      digest: ['ed25519', 'ed448'].includes(privateKey.asymmetricKeyType) ? null : 'sha256'
+    };
+  }
+  return signingKey;
+};
+
+const checkpointPayload = ({ sequence, hash, createdAt }) => {
+  return Buffer.from(`audit-checkpoint:${sequence}:${hash}:${createdAt.toISOString()}`);
+};
+
+// Sign the current end of the chain. Returns null when nothing was appended
+// since the last checkpoint.
+const createCheckpoint = async () => {
+  const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash');
+  if (!last || await AuditCheckpoint.exists({ sequence: { $gte: last.sequence } })) {
+    return null;
+  }
+
+  const { privateKey, keyId, digest } = getSigningKey();
+  const checkpoint = new AuditCheckpoint({ sequence: last.sequence, hash: last.hash, keyId });
+  checkpoint.signature = crypto.sign(digest, checkpointPayload(checkpoint), privateKey).toString('base64');
+
+  return checkpoint.save();
+};
+
+// Walk the chain from the first event and stop at the first broken link:
+// a missing event, an edited event, or an event that contradicts a signed
+// checkpoint. Checkpoints past the end of the chain reveal removed events.
+// Checkpoints signed by another key are counted but cannot be trusted.
+const verifyAuditChain = async () => {
+  const { publicKey, keyId, digest } = getSigningKey();
+  const report = {
+    valid: true,
+    eventsChecked: 0,
+    lastSequence: 0,
+    checkpointsChecked: 0,
+    unverifiedCheckpoints: 0,
+    brokenAt: null
+  };
+  const broken = (sequence, eventId, reason) => ({
+    ...report,
+    valid: false,
+    brokenAt: { sequence, eventId, reason }
+  });
+
+  const checkpoints = new Map();
+  for (const checkpoint of await AuditCheckpoint.find().sort({ sequence: 1 })) {
+    if (checkpoint.keyId !== keyId) {
+      report.unverifiedCheckpoints += 1;
+      continue;
+    }
+
+    const signature = Buffer.from(checkpoint.signature, 'base64');
+    if (!crypto.verify(digest, checkpointPayload(checkpoint), publicKey, signature)) {
+      return broken(checkpoint.sequence, null, `Checkpoint ${checkpoint._id} has an invalid signature`);
+    }
+
+    checkpoints.set(checkpoint.sequence, [...(checkpoints.get(checkpoint.sequence) || []), checkpoint]);
+    report.checkpointsChecked += 1;
+  }
+
+  let previous = null;
+  for await (const event of AuditEvent.find().sort({ sequence: 1 }).lean().cursor()) {
+    const expected = previous ? previous.sequence + 1 : 1;
+
+    if (event.sequence !== expected) {
+      return broken(expected, null, `Event ${expected} is missing`);
+    }
+    if (event.previousHash !== (previous ? previous.hash : AuditEvent.GENESIS_HASH)) {
+      return broken(event.sequence, event._id, 'previousHash does not match the previous event');
+    }
+    if (AuditEvent.hashEvent(event) !== event.hash) {
+      return broken(event.sequence, event._id, 'Event content does not match its hash');
+    }
+    if ((checkpoints.get(event.sequence) || []).some(checkpoint => checkpoint.hash !== event.hash)) {
+      return broken(event.sequence, event._id, 'Event does not match a signed checkpoint');
+    }
+
+    previous = event;
+    report.eventsChecked += 1;
+    report.lastSequence = event.sequence;
+  }
+
+  const beyond = Math.max(0, ...checkpoints.keys());
+  if (beyond > report.lastSequence) {
+    return broken(
+      report.lastSequence + 1,
+      null,
+      `Chain ends at event ${report.lastSequence} but a checkpoint covers event ${beyond}`
+    );
+  }
+
+  return report;
+};
+
+module.exports = {
+  getSigningKey,
+  createCheckpoint,
+  verifyAuditChain
+};
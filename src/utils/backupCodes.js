@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+const BACKUP_CODE_COUNT = 10;
+
+// Codes are compared without dashes or case so they are easy to type
+const normalize = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+// Codes are random and single-use, so a fast hash is enough to store them
+const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalize(code)).digest('hex');
+};
+
+// Generate a fresh set of one-time backup codes in the form xxxxx-xxxxx
+const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashBackupCode)
+  };
+};
+
+module.exports = {
+  generateBackupCodes,
+  hashBackupCode
+};
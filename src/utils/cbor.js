@@ -0,0 +1,95 @@
+// Minimal CBOR decoder (RFC 8949) for the structures WebAuthn uses:
+// attestation objects and COSE keys. Byte strings decode to Buffers and maps
+// to Map, since COSE keys are integers. Indefinite lengths are not supported.
+
+const decodeItem = (buffer, offset) => {
+  if (offset >= buffer.length) {
+    throw new Error('Unexpected end of CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  offset += 1;
+
+  let argument;
+  if (info < 24) {
+    argument = info;
+  } else if (info === 24) {
+    argument = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    argument = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    argument = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    argument = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('Unsupported CBOR length encoding');
+  }
+
+  switch (major) {
+    case 0:
+      return [argument, offset];
+    case 1:
+      return [-1 - argument, offset];
+    case 2:
+    case 3: {
+      const end = offset + argument;
+      if (end > buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+      }
+      const bytes = buffer.subarray(offset, end);
+      return [major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), end];
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        let item;
+        [item, offset] = decodeItem(buffer, offset);
+        items.push(item);
+      }
+      return [items, offset];
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < argument; i++) {
+        let key;
+        let value;
+        [key, offset] = decodeItem(buffer, offset);
+        [value, offset] = decodeItem(buffer, offset);
+        map.set(key, value);
+      }
+      return [map, offset];
+    }
+    case 6:
+      // Tags carry no meaning for WebAuthn; return the tagged item
+      return decodeItem(buffer, offset);
+    default:
+      if (info === 20) return [false, offset];
+      if (info === 21) return [true, offset];
+      if (info === 22) return [null, offset];
+      throw new Error('Unsupported CBOR simple value');
+  }
+};
+
+// Decode the first item and return it with the number of bytes it used,
+// for data that continues after the CBOR item
+const decodeFirst = (buffer) => {
+  const [value, length] = decodeItem(buffer, 0);
+  return { value, length };
+};
+
+// Decode a buffer that holds exactly one item
+const decode = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+  return value;
+};
+
+module.exports = { decode, decodeFirst };
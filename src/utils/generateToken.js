@@ -1,22 +1,117 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const keyStore = require('./keyStore');
 
-const generateToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+// JWT "typ" headers (RFC 9068) so one kind of token cannot stand in for another
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+const REFRESH_TOKEN_TYPE = 'refresh+jwt';
+// ID tokens keep the plain type OpenID Connect client libraries expect
+const ID_TOKEN_TYPE = 'JWT';
+
+const signToken = (payload, type, options) => {
+  const key = keyStore.getSigningKey();
+
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.alg,
+    keyid: key.kid,
+    header: { typ: type }
+  });
+};
+
+const verifyToken = async (token, type) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || decoded.header.typ !== type) {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  const key = await keyStore.getVerificationKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+};
+
+// Tokens issued to OAuth clients carry the client, its granted scope and
+// an audience, and are shorter-lived than first-party tokens
+const generateToken = (userId, { sessionId, organizationId, clientId, scope, audience } = {}) => {
+  return signToken(
+    {
+      id: userId,
+      sid: sessionId,
+      ...(organizationId && { org: organizationId.toString() }),
+      ...(clientId && { client_id: clientId }),
+      ...(scope && { scope: scope.join(' ') })
+    },
+    ACCESS_TOKEN_TYPE,
+    {
+      expiresIn: clientId
+        ? process.env.OAUTH_ACCESS_TOKEN_EXPIRE || '1h'
+        : process.env.JWT_EXPIRE || '7d',
+      jwtid: crypto.randomUUID(),
+      ...(audience && { audience })
+    }
+  );
+};
+
+// Access token for a client acting on its own behalf (client_credentials)
+const generateClientToken = (clientId, { scope = [], audience } = {}) => {
+  return signToken(
+    { sub: clientId, client_id: clientId, scope: scope.join(' ') },
+    ACCESS_TOKEN_TYPE,
+    {
+      expiresIn: process.env.OAUTH_ACCESS_TOKEN_EXPIRE || '1h',
+      jwtid: crypto.randomUUID(),
+      ...(audience && { audience })
+    }
+  );
+};
+
+const generateRefreshToken = (userId, { jti, family } = {}) => {
+  return signToken(
+    { id: userId, family },
+    REFRESH_TOKEN_TYPE,
+    { expiresIn: '30d', ...(jti && { jwtid: jti }) }
   );
 };
 
-const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { id: userId },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+// OpenID Connect ID token telling a client who signed in (OIDC Core 2)
+const generateIdToken = (claims, { audience, issuer, nonce, authTime }) => {
+  return signToken(
+    {
+      ...claims,
+      auth_time: Math.floor(authTime.getTime() / 1000),
+      ...(nonce && { nonce })
+    },
+    ID_TOKEN_TYPE,
+    { expiresIn: '1h', audience, issuer }
   );
 };
 
+// Short-lived token that authorizes a single action, e.g. verifying an email
+const generateActionToken = (userId, purpose, { jti = crypto.randomUUID(), expiresIn = '1h', claims = {} } = {}) => {
+  return signToken(
+    { ...claims, id: userId },
+    `${purpose}+jwt`,
+    { expiresIn, jwtid: jti }
+  );
+};
+
+const verifyAccessToken = (token) => verifyToken(token, ACCESS_TOKEN_TYPE);
+
+const verifyRefreshToken = (token) => verifyToken(token, REFRESH_TOKEN_TYPE);
+
+const verifyActionToken = (token, purpose) => verifyToken(token, `${purpose}+jwt`);
+
 module.exports = {
   generateToken,
-  generateRefreshToken
-};
\ No newline at end of file
+  generateClientToken,
+  generateIdToken,
+  generateRefreshToken,
+  generateActionToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  verifyActionToken
+};
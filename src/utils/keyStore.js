@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// How long a key signs new tokens before it is rotated out
+const ROTATION_INTERVAL = (parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30) * DAY;
+
+// Retired keys keep verifying until the longest-lived token they signed
+// (a 30-day refresh token) has expired
+const RETENTION_PERIOD = 30 * DAY;
+
+// Don't hit the database more than once per interval for unknown kids
+const RELOAD_INTERVAL = 30 * 1000;
+
+let keys = new Map();
+let persisted = false;
+let lastLoadedAt = 0;
+
+const getAlgorithm = () => {
+  const alg = process.env.JWT_ALGORITHM || 'RS256';
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT_ALGORITHM '${alg}'`);
+  }
+  return alg;
+};
+
+const generateKeyPair = (alg) => {
+  return alg === 'ES256'
+    ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+    : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+};
+
+const isExpired = (key) => {
+  return !!key.retiredAt && key.retiredAt.getTime() + RETENTION_PERIOD <= Date.now();
+};
+
+// The newest key that has not been retired
+const findActiveKey = () => {
+  return [...keys.values()]
+    .filter(key => !key.retiredAt)
+    .sort((a, b) => b.createdAt - a.createdAt)[0];
+};
+
+const load = async () => {
+  const records = await SigningKey.find().select('+privateKey');
+
+  keys = new Map(records.map(record => {
+    const privateKey = crypto.createPrivateKey(record.privateKey);
+    return [record.kid, {
+      kid: record.kid,
+      alg: record.alg,
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+      createdAt: record.createdAt,
+      retiredAt: record.retiredAt
+    }];
+  }));
+
+  persisted = true;
+  lastLoadedAt = Date.now();
+};
+
+// Generate a new active key and retire the previous ones
+const rotate = async () => {
+  const alg = getAlgorithm();
+  const { privateKey } = generateKeyPair(alg);
+  const kid = crypto.randomUUID();
+
+  await SigningKey.create({
+    kid,
+    alg,
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  });
+
+  const now = new Date();
+  await SigningKey.updateMany(
+    { kid: { $ne: kid }, retiredAt: null },
+    { retiredAt: now, expiresAt: new Date(now.getTime() + RETENTION_PERIOD) }
+  );
+
+  await load();
+  return keys.get(kid);
+};
+
+// Load the key set from the database and rotate if the active key is due
+const initialize = async () => {
+  await load();
+
+  const active = findActiveKey();
+  if (!active || active.alg !== getAlgorithm() || Date.now() - active.createdAt >= ROTATION_INTERVAL) {
+    await rotate();
+  }
+};
+
+// Key used to sign new tokens. Until the store has been initialized
+// (e.g. in tests) an in-memory key is generated on first use.
+const getSigningKey = () => {
+  let key = findActiveKey();
+
+  if (!key) {
+    const alg = getAlgorithm();
+    const { privateKey, publicKey } = generateKeyPair(alg);
+    key = {
+      kid: crypto.randomUUID(),
+      alg,
+      privateKey,
+      publicKey,
+      createdAt: new Date(),
+      retiredAt: null
+    };
+    keys.set(key.kid, key);
+  }
+
+  return key;
+};
+
+// Key used to verify a token, selected by its kid header
+const getVerificationKey = async (kid) => {
+  // Another instance may have rotated the key set since we last loaded it
+  if (!keys.has(kid) && persisted && Date.now() - lastLoadedAt > RELOAD_INTERVAL) {
+    await load();
+  }
+
+  const key = keys.get(kid);
+  if (!key || isExpired(key)) return null;
+  return key;
+};
+
+// Public keys in JWK Set format
+const getJwks = () => {
+  return {
+    keys: [...keys.values()]
+      .filter(key => !isExpired(key))
+      .map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+  };
+};
+
+module.exports = {
+  ROTATION_INTERVAL,
+  initialize,
+  rotate,
+  getSigningKey,
+  getVerificationKey,
+  getJwks
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const net = require('net');
+const LoginEvent = require('../models/LoginEvent');
+const appUrl = require('./appUrl');
+const { sendMail } = require('./mail');
+const templates = require('./mail/templates');
+const { generateActionToken } = require('./generateToken');
+
+// How long the "this wasn't me" link in a new device email works
+const LOGIN_ALERT_EXPIRE = '7d';
+
+// Identify the browser from what it sends on every request. Not a secret:
+// it only tells the user's own devices apart.
+const deviceFingerprint = (req) => {
+  return crypto.createHash('sha256')
+    .update(`${req.get('User-Agent') || ''}\n${req.get('Accept-Language') || ''}`)
+    .digest('hex');
+};
+
+// Expand an IPv6 address into its eight groups
+const ipv6Groups = (ip) => {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16).toString(16));
+};
+
+// Network an address belongs to: /24 for IPv4 and /64 for IPv6, so a
+// router handing out a new address does not look like a new network
+const networkOf = (ip) => {
+  const address = ip && ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+  if (net.isIPv4(address)) {
+    return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+  if (net.isIPv6(address) && !address.includes('.')) {
+    return `${ipv6Groups(address).slice(0, 4).join(':')}::/64`;
+  }
+  return null;
+};
+
+// Email the user about a login from a new device, with a link to report it
+const sendLoginAlert = async (user, event) => {
+  const token = generateActionToken(user._id, 'not-me', {
+    expiresIn: LOGIN_ALERT_EXPIRE,
+    claims: { login: event._id.toString() }
+  });
+
+  await sendMail({
+    to: user.email,
+    ...templates.newDeviceLogin({
+      name: user.name,
+      time: event.createdAt.toUTCString(),
+      ip: event.ip || 'unknown',
+      device: event.userAgent || 'Unknown device',
+      url: appUrl(`/api/auth/not-me?token=${encodeURIComponent(token)}`)
+    })
+  });
+};
+
+// Add a login attempt to the user's history. A successful login from a
+// device or network the account has not logged in from before triggers an
+// email, unless the account has no history to compare with yet. Like the
+// audit log, failures are reported but do not fail the login.
+const recordLoginAttempt = async (req, { user, outcome = 'success', reason = null, method = 'password' }) => {
+  if (!user) return;
+
+  try {
+    const deviceId = deviceFingerprint(req);
+    const network = networkOf(req.ip);
+
+    let newDevice = false;
+    if (outcome === 'success') {
+      // Logins the user reported do not make a device trusted
+      const seen = { user: user._id, outcome: 'success', reportedAt: null };
+      const [hasHistory, knownDevice, knownNetwork] = await Promise.all([
+        LoginEvent.exists(seen),
+        LoginEvent.exists({ ...seen, deviceId }),
+        LoginEvent.exists({ ...seen, network })
+      ]);
+      newDevice = !!hasHistory && !(knownDevice && knownNetwork);
+    }
+
+    const event = await LoginEvent.create({
+      user: user._id,
+      outcome,
+      reason,
+      method,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      deviceId,
+      network,
+      newDevice
+    });
+
+    if (newDevice) {
+      await sendLoginAlert(user, event);
+    }
+  } catch (error) {
+    console.error(`Failed to record login history: ${error.message}`);
+  }
+};
+
+module.exports = {
+  deviceFingerprint,
+  networkOf,
+  recordLoginAttempt
+};
@@ -0,0 +1,135 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const IP_RECORD_LIFETIME = 24 * 60 * 60 * 1000;
+const MAX_DELAY = 15 * 60 * 1000;
+
+// Read at call time so deployments and tests can tune them
+const settings = () => ({
+  // Failed attempts before an account is locked
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+  lockDuration: (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000,
+  // Failed attempts from one IP before it has to slow down
+  ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 10,
+  baseDelay: process.env.LOGIN_DELAY_BASE_MS !== undefined
+    ? parseInt(process.env.LOGIN_DELAY_BASE_MS, 10)
+    : 1000
+});
+
+// Wait required after `failures` failed attempts: nothing for the first
+// `freeAttempts`, then 1x, 2x, 4x... the base delay, capped
+const delayFor = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(settings().baseDelay * 2 ** (failures - freeAttempts), MAX_DELAY);
+};
+
+// Milliseconds until the next attempt is allowed, given the last failure
+const remaining = (lastFailureAt, delay) => {
+  if (!lastFailureAt || !delay) return 0;
+  return Math.max(0, lastFailureAt.getTime() + delay - Date.now());
+};
+
+// Check whether a login attempt may proceed.
+// Returns null, or { reason: 'locked' | 'throttled', retryAfter } in seconds.
+const checkLoginAllowed = async ({ ip, user }) => {
+  if (user && user.lockUntil && user.lockUntil > new Date()) {
+    return {
+      reason: 'locked',
+      retryAfter: Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000)
+    };
+  }
+
+  let wait = 0;
+
+  if (user) {
+    wait = remaining(user.lastFailedLoginAt, delayFor(user.failedLoginAttempts || 0, 1));
+  }
+
+  const record = ip && await LoginThrottle.findOne({ ip });
+  if (record) {
+    wait = Math.max(wait, remaining(record.lastFailureAt, delayFor(record.failures, settings().ipFreeAttempts)));
+  }
+
+  return wait > 0 ? { reason: 'throttled', retryAfter: Math.ceil(wait / 1000) } : null;
+};
+
+// Record a failed attempt for the IP and, when known, the account.
+// The account is locked once it reaches the threshold.
+const recordLoginFailure = async ({ ip, user }) => {
+  const now = new Date();
+
+  if (ip) {
+    await LoginThrottle.updateOne(
+      { ip },
+      {
+        $inc: { failures: 1 },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + IP_RECORD_LIFETIME)
+      },
+      { upsert: true }
+    );
+  }
+
+  if (user) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+      { new: true }
+    ).select('+failedLoginAttempts');
+
+    const { maxAttempts, lockDuration } = settings();
+    if (updated && updated.failedLoginAttempts >= maxAttempts) {
+      await User.updateOne(
+        { _id: user._id },
+        {
+          lockUntil: new Date(now.getTime() + lockDuration),
+          failedLoginAttempts: 0,
+          $unset: { lastFailedLoginAt: 1 }
+        }
+      );
+    }
+  }
+};
+
+// Clear the account's failure count after a successful login and halve the
+// IP's. Many users can share an IP behind a NAT or proxy, and their logins
+// should wear down the delay someone else caused; halving rather than
+// clearing means an attacker who logs into an account of their own between
+// guesses is still slowed down once they make more than a few per login.
+const recordLoginSuccess = async ({ ip, user }) => {
+  if (ip) {
+    await LoginThrottle.updateOne(
+      { ip, failures: { $gt: 0 } },
+      [{ $set: { failures: { $floor: { $divide: ['$failures', 2] } } } }]
+    );
+  }
+
+  if (user.failedLoginAttempts || user.lockUntil || user.lastFailedLoginAt) {
+    await User.updateOne(
+      { _id: user._id },
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+    );
+  }
+};
+
+// Answer a login attempt refused by checkLoginAllowed
+const rejectBlockedLogin = (res, blocked) => {
+  res.set('Retry-After', blocked.retryAfter);
+  return blocked.reason === 'locked'
+    ? res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked due to too many failed login attempts. Please try again later.'
+    })
+    : res.status(429).json({
+      success: false,
+      message: 'Too many failed login attempts. Please wait before trying again.'
+    });
+};
+
+module.exports = {
+  LOCKOUT_FIELDS: '+failedLoginAttempts +lastFailedLoginAt +lockUntil',
+  checkLoginAllowed,
+  rejectBlockedLogin,
+  recordLoginFailure,
+  recordLoginSuccess
+};
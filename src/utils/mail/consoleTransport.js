@@ -0,0 +1,12 @@
+// Print mail to the console instead of sending it (development)
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`--- Mail to ${message.to}: ${message.subject} ---`);
+      console.log(message.text);
+    }
+  };
+};
+
+module.exports = createConsoleTransport;
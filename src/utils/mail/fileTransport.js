@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(process.cwd(), 'tmp', 'outbox');
+
+// Write each message as a JSON file in an outbox directory (tests)
+const createFileTransport = ({ dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR } = {}) => {
+  return {
+    name: 'file',
+    dir,
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  };
+};
+
+// Read every message in the outbox, oldest first
+const readOutbox = async (dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) => {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+  );
+  return messages;
+};
+
+const clearOutbox = (dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) => {
+  return fs.rm(dir, { recursive: true, force: true });
+};
+
+module.exports = createFileTransport;
+module.exports.readOutbox = readOutbox;
+module.exports.clearOutbox = clearOutbox;
@@ -0,0 +1,41 @@
+const createSmtpTransport = require('./smtpTransport');
+const createConsoleTransport = require('./consoleTransport');
+const createFileTransport = require('./fileTransport');
+
+const transports = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let cached = null;
+
+// Transport selected by MAIL_TRANSPORT (smtp, console or file).
+// Tests default to the file outbox so they can read what was sent.
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'test' ? 'file' : 'console');
+
+  if (!cached || cached.name !== name) {
+    const create = transports[name];
+    if (!create) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${name}'`);
+    }
+    cached = create();
+  }
+
+  return cached;
+};
+
+// Send a message ({ to, subject, text, html }) through the configured transport
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    ...message
+  });
+};
+
+module.exports = {
+  getTransport,
+  sendMail
+};
@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// Deliver mail through an SMTP server
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT, 10) || 587,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASSWORD
+} = {}) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+module.exports = createSmtpTransport;
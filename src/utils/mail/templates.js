@@ -0,0 +1,55 @@
+// Plain text and HTML bodies for the emails this API sends
+
+// For values that come from the client, such as its user agent
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+const verifyEmail = ({ name, url }) => ({
+  subject: 'Verify your email address',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${url}\n\nIf you did not create an account, you can ignore this email.`,
+  html: `<p>Hi ${name},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${url}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+});
+
+const resetPassword = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${url}\n\nThe link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+  html: `<p>Hi ${name},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${url}">Reset password</a></p><p>The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+});
+
+const invitation = ({ inviter, organization, url, expiresInDays }) => ({
+  subject: `You have been invited to join ${organization}`,
+  text: `Hi,\n\n${inviter} invited you to join ${organization}. Open the link below to accept the invitation:\n\n${url}\n\nThe invitation expires in ${expiresInDays} days. If you were not expecting it, you can ignore this email.`,
+  html: `<p>Hi,</p><p>${inviter} invited you to join ${organization}. Click the link below to accept the invitation:</p><p><a href="${url}">Accept invitation</a></p><p>The invitation expires in ${expiresInDays} days. If you were not expecting it, you can ignore this email.</p>`
+});
+
+const magicLink = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Your login link',
+  text: `Hi ${name},\n\nOpen the link below to log in. It works once, only in the browser where you asked for it:\n\n${url}\n\nThe link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+  html: `<p>Hi ${name},</p><p>Click the link below to log in. It works once, only in the browser where you asked for it:</p><p><a href="${url}">Log in</a></p><p>The link expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+});
+
+const newDeviceLogin = ({ name, time, ip, device, url }) => ({
+  subject: 'New login to your account',
+  text: `Hi ${name},\n\nYour account was just logged in to from a device or network it has not used before:\n\nTime: ${time}\nIP address: ${ip}\nDevice: ${device}\n\nIf this was you, you can ignore this email. If it was not, open the link below. It logs out every session and asks you to choose a new password:\n\n${url}`,
+  html: `<p>Hi ${name},</p><p>Your account was just logged in to from a device or network it has not used before:</p><ul><li>Time: ${time}</li><li>IP address: ${escapeHtml(ip)}</li><li>Device: ${escapeHtml(device)}</li></ul><p>If this was you, you can ignore this email. If it was not, click the link below. It logs out every session and asks you to choose a new password:</p><p><a href="${url}">This wasn't me</a></p>`
+});
+
+const accountDeletionScheduled = ({ name, date }) => ({
+  subject: 'Your account will be deleted',
+  text: `Hi ${name},\n\nYour account is scheduled to be deleted on ${date}. Until then it is deactivated.\n\nIf you change your mind, log in before that date and the deletion is cancelled. If you did not ask for this, log in and change your password.`,
+  html: `<p>Hi ${name},</p><p>Your account is scheduled to be deleted on ${date}. Until then it is deactivated.</p><p>If you change your mind, log in before that date and the deletion is cancelled. If you did not ask for this, log in and change your password.</p>`
+});
+
+module.exports = {
+  verifyEmail,
+  resetPassword,
+  invitation,
+  magicLink,
+  newDeviceLogin,
+  accountDeletionScheduled
+};
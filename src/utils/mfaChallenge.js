@@ -0,0 +1,22 @@
+const Credential = require('../models/Credential');
+const { generateActionToken } = require('./generateToken');
+
+// How long a user has to enter their second factor after the first one
+const MFA_CHALLENGE_EXPIRE = '5m';
+
+// Token for finishing a login at /api/auth/mfa/verify. It remembers how
+// the user passed the first step, for the login history.
+const issueMfaChallenge = (userId, method) => {
+  return generateActionToken(userId, 'mfa', { expiresIn: MFA_CHALLENGE_EXPIRE, claims: { method } });
+};
+
+// Whether a login needs a second factor: an authenticator app or any
+// registered passkey
+const requiresSecondFactor = async (user) => {
+  return user.mfaEnabled || !!(await Credential.exists({ user: user._id }));
+};
+
+module.exports = {
+  issueMfaChallenge,
+  requiresSecondFactor
+};
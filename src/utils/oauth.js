@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const Role = require('../models/Role');
+const appUrl = require('./appUrl');
+
+// Scopes clients can request. They name the permissions a token may use.
+const SCOPES = Role.PERMISSIONS;
+
+// OpenID Connect scopes, which every client may request
+const OIDC_SCOPES = ['openid', 'profile', 'email'];
+
+const GRANT_TYPES = ['authorization_code', 'refresh_token', 'client_credentials'];
+
+// Audience of access tokens issued to OAuth clients, i.e. this API
+const oauthAudience = () => process.env.OAUTH_AUDIENCE || appUrl();
+
+// "iss" of ID tokens, and the base of the discovery document
+const oidcIssuer = () => process.env.OIDC_ISSUER || appUrl();
+
+// Standard claims about a user released for the granted scope (OIDC Core 5.4)
+const identityClaims = (user, scope) => ({
+  sub: user._id.toString(),
+  ...(scope.includes('profile') && {
+    name: user.name,
+    updated_at: Math.floor(user.updatedAt.getTime() / 1000)
+  }),
+  ...(scope.includes('email') && {
+    email: user.email,
+    email_verified: Boolean(user.emailVerified)
+  })
+});
+
+// Split a space-delimited scope parameter into unique scopes
+const parseScope = (scope) => [...new Set(String(scope || '').split(' ').filter(Boolean))];
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// PKCE with S256: the challenge is the base64url SHA-256 of the verifier (RFC 7636)
+const verifyPkce = (verifier, challenge) => {
+  if (typeof verifier !== 'string' || !/^[A-Za-z0-9._~-]{43,128}$/.test(verifier)) {
+    return false;
+  }
+  return safeEqual(crypto.createHash('sha256').update(verifier).digest('base64url'), challenge);
+};
+
+// Errors in the RFC 6749 format: { error, error_description }
+const oauthError = (status, error, description) => {
+  return Object.assign(new Error(description), { status, error });
+};
+
+module.exports = {
+  SCOPES,
+  OIDC_SCOPES,
+  GRANT_TYPES,
+  oauthAudience,
+  oidcIssuer,
+  identityClaims,
+  parseScope,
+  hashSecret,
+  safeEqual,
+  verifyPkce,
+  oauthError
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Errors thrown here carry a status so controllers can answer 400
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Cursors are opaque to clients: base64url JSON of the sort value and _id
+// of the last document on the page
+const encodeCursor = (doc, field) => {
+  const value = doc[field];
+  const isDate = value instanceof Date;
+  return Buffer.from(JSON.stringify([
+    isDate ? value.toISOString() : value,
+    isDate,
+    doc._id.toString()
+  ])).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+
+  // Anything that does not look like what encodeCursor produced would only
+  // fail later as a CastError
+  const [value, isDate, id] = Array.isArray(parts) ? parts : [];
+  const validValue = isDate === true
+    ? typeof value === 'string' && !Number.isNaN(Date.parse(value))
+    : isDate === false && (value === null || ['string', 'number'].includes(typeof value));
+
+  if (!validValue || typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+    throw badRequest('Invalid cursor');
+  }
+  return { value: isDate ? new Date(value) : value, id };
+};
+
+// The next cursor is built from the sort field, so an explicit projection
+// has to include it
+const withSortField = (select, field) => {
+  if (!select) return select;
+  const paths = select.split(/\s+/).filter(Boolean);
+  if (paths.includes(field) || paths.some(path => path.startsWith('-'))) return select;
+  return `${select} ${field}`;
+};
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`'${name}' must be a positive integer`);
+  }
+  return number;
+};
+
+// Parse "field" or "-field" against the allowed sort fields
+const parseSort = (sort, sortable, defaultSort) => {
+  const raw = sort === undefined ? defaultSort : String(sort);
+  const field = raw.replace(/^-/, '');
+
+  if (!sortable.includes(field)) {
+    throw badRequest(`Cannot sort by '${field}'. Allowed fields: ${sortable.join(', ')}`);
+  }
+  return { field, direction: raw.startsWith('-') ? -1 : 1 };
+};
+
+// Run a paginated find. Supports page/limit and, when `cursor` is present in
+// the query (use an empty value for the first page), keyset pagination that
+// stays stable while documents are added.
+const paginate = async (Model, { query, filter = {}, select, sortable, defaultSort }) => {
+  const limit = Math.min(parsePositiveInt(query.limit, 'limit', DEFAULT_LIMIT), MAX_LIMIT);
+  const { field, direction } = parseSort(query.sort, sortable, defaultSort);
+  const sort = { [field]: direction, _id: direction };
+  const useCursor = query.cursor !== undefined;
+
+  const total = await Model.countDocuments(filter);
+
+  if (useCursor) {
+    let pageFilter = filter;
+
+    if (query.cursor) {
+      const { value, id } = decodeCursor(query.cursor);
+      const op = direction === 1 ? '$gt' : '$lt';
+      pageFilter = {
+        $and: [
+          filter,
+          { $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }] }
+        ]
+      };
+    }
+
+    // Fetch one extra document to know whether there is a next page
+    const docs = await Model.find(pageFilter)
+      .select(withSortField(select, field))
+      .sort(sort)
+      .limit(limit + 1);
+    const hasMore = docs.length > limit;
+    if (hasMore) docs.pop();
+
+    return {
+      docs,
+      total,
+      limit,
+      nextCursor: hasMore ? encodeCursor(docs[docs.length - 1], field) : null
+    };
+  }
+
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const docs = await Model.find(filter)
+    .select(select)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  return {
+    docs,
+    total,
+    limit,
+    page,
+    pages: Math.max(1, Math.ceil(total / limit))
+  };
+};
+
+// RFC 8288 Link header pointing at the neighbouring pages
+const buildLinkHeader = (req, result) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+  const link = (params, rel) => {
+    const search = new URLSearchParams({ ...req.query, ...params });
+    return `<${base}?${search}>; rel="${rel}"`;
+  };
+
+  const links = [];
+
+  if (result.page === undefined) {
+    if (result.nextCursor) {
+      links.push(link({ cursor: result.nextCursor }, 'next'));
+    }
+    return links.join(', ');
+  }
+
+  links.push(link({ page: 1, limit: result.limit }, 'first'));
+  if (result.page > 1) {
+    links.push(link({ page: result.page - 1, limit: result.limit }, 'prev'));
+  }
+  if (result.page < result.pages) {
+    links.push(link({ page: result.page + 1, limit: result.limit }, 'next'));
+  }
+  links.push(link({ page: result.pages, limit: result.limit }, 'last'));
+
+  return links.join(', ');
+};
+
+module.exports = {
+  badRequest,
+  paginate,
+  buildLinkHeader
+};
@@ -0,0 +1,26 @@
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LENGTH = 128;
+
+// Check a new password against the password policy.
+// Returns a list of problems; an empty list means the password is acceptable.
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || !password) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters long`);
+  }
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password cannot exceed ${MAX_LENGTH} characters`);
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    errors.push('Password must contain at least one letter and one number');
+  }
+
+  return errors;
+};
+
+module.exports = { validatePassword };
@@ -0,0 +1,32 @@
+const Role = require('../models/Role');
+
+// Permissions of the user's role plus, inside an organization, those of
+// their membership. Resolved once per request.
+const getPermissions = async (req) => {
+  if (!req.permissions) {
+    req.role = await Role.findOne({ name: req.user.role });
+    req.permissions = new Set([
+      ...(req.role ? req.role.permissions : []),
+      ...(req.membership ? req.membership.permissions : [])
+    ]);
+  }
+
+  return req.permissions;
+};
+
+const grants = (permissions, permission) => {
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Personal access tokens and OAuth tokens can only use permissions
+// within their scopes
+const hasPermission = async (req, permission) => {
+  const permissions = [...await getPermissions(req)];
+
+  if (req.scopes && !grants(req.scopes, permission)) {
+    return false;
+  }
+  return grants(permissions, permission);
+};
+
+module.exports = { getPermissions, hasPermission };
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const { verifyRefreshToken } = require('./generateToken');
+
+// Errors thrown here carry a status so callers can answer 401
+const unauthorized = (message = 'Invalid refresh token') => {
+  return Object.assign(new Error(message), { status: 401 });
+};
+
+// Revoke the session a refresh token family belongs to, or just the
+// family when the session is gone
+const revokeTokenFamily = async (family) => {
+  const session = mongoose.isValidObjectId(family)
+    ? await Session.findById(family)
+    : null;
+
+  if (session) {
+    await session.revoke();
+  } else {
+    await RefreshToken.revokeFamily(family);
+  }
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token works
+// once; presenting a rotated one again revokes its whole session. Tokens of
+// OAuth sessions only work for the client they were issued to.
+const rotateRefreshToken = async (refreshToken, { client = null } = {}) => {
+  let decoded;
+  try {
+    decoded = await verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw unauthorized();
+  }
+
+  // Mark the token as used in one step so it can only be rotated once
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    // A rotated token was presented again: assume it leaked and kill the session
+    if (existing && existing.usedAt) {
+      await revokeTokenFamily(existing.family);
+      throw unauthorized('Refresh token reuse detected. Please log in again.');
+    }
+
+    throw unauthorized();
+  }
+
+  const session = mongoose.isValidObjectId(stored.family)
+    ? await Session.findById(stored.family)
+    : null;
+  const user = await User.findById(stored.user);
+
+  if (!session || !session.isActive() || session.client !== client ||
+      !user || !user.isActive || user.changedPasswordAfter(decoded.iat)) {
+    await revokeTokenFamily(stored.family);
+    throw unauthorized();
+  }
+
+  const token = session.issueAccessToken();
+  const newRefreshToken = await RefreshToken.issue(user._id, session.id);
+
+  stored.replacedBy = jwt.decode(newRefreshToken).jti;
+  await stored.save();
+  await session.touch({ extend: true });
+
+  return { session, user, token, refreshToken: newRefreshToken };
+};
+
+module.exports = { rotateRefreshToken, revokeTokenFamily };
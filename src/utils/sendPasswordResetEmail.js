@@ -0,0 +1,24 @@
+const appUrl = require('./appUrl');
+const { sendMail } = require('./mail');
+const templates = require('./mail/templates');
+
+const PASSWORD_RESET_EXPIRE_MINUTES = 30;
+
+// Email the user a password reset link. Creating a new token replaces the
+// previous one, so only the latest link works.
+const sendPasswordResetEmail = async (user) => {
+  const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+  await user.save({ validateBeforeSave: false });
+
+  const baseUrl = process.env.PASSWORD_RESET_URL || appUrl('/reset-password');
+  await sendMail({
+    to: user.email,
+    ...templates.resetPassword({
+      name: user.name,
+      url: `${baseUrl}?token=${resetToken}`,
+      expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES
+    })
+  });
+};
+
+module.exports = sendPasswordResetEmail;
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const appUrl = require('./appUrl');
+const { sendMail } = require('./mail');
+const templates = require('./mail/templates');
+const { generateActionToken } = require('./generateToken');
+
+const VERIFICATION_TOKEN_EXPIRE = '24h';
+
+// Email the user a fresh verification link. Issuing a new token
+// invalidates any link sent before.
+const sendVerificationEmail = async (user) => {
+  const jti = crypto.randomUUID();
+  const token = generateActionToken(user._id, 'verify-email', {
+    jti,
+    expiresIn: VERIFICATION_TOKEN_EXPIRE
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationTokenId: jti, emailVerificationSentAt: new Date() }
+  );
+
+  const url = appUrl(`/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+  await sendMail({
+    to: user.email,
+    ...templates.verifyEmail({ name: user.name, url })
+  });
+};
+
+module.exports = sendVerificationEmail;
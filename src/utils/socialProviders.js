@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const appUrl = require('./appUrl');
+
+// Give up on a provider that does not answer
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Built-in settings for well-known providers. Other providers are configured
+// entirely from the environment, either by an OpenID Connect issuer (whose
+// discovery document supplies the endpoints) or by explicit OAuth 2.0 URLs.
+const PRESETS = {
+  google: {
+    issuer: 'https://accounts.google.com',
+    scope: 'openid email profile'
+  },
+  github: {
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    scope: 'read:user user:email',
+    // GitHub is plain OAuth 2.0: the verified email needs a separate call
+    async mapProfile(data, fetchJson) {
+      const emails = await fetchJson('https://api.github.com/user/emails');
+      const primary = emails.find(email => email.primary) || {};
+
+      return {
+        subject: String(data.id),
+        email: primary.email,
+        emailVerified: primary.verified === true,
+        name: data.name || data.login
+      };
+    }
+  }
+};
+
+// Map standard OpenID Connect claims to a profile
+const mapOidcProfile = (data) => ({
+  subject: data.sub && String(data.sub),
+  email: data.email,
+  emailVerified: data.email_verified === true || data.email_verified === 'true',
+  name: data.name
+});
+
+const providerError = (provider, message) => {
+  return Object.assign(new Error(`Sign-in with ${provider} failed: ${message}`), { status: 400 });
+};
+
+const requestJson = async (provider, url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+  } catch (error) {
+    throw Object.assign(providerError(provider, 'provider is unreachable'), { status: 502 });
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.error) {
+    throw providerError(provider, body.error_description || body.error || `HTTP ${response.status}`);
+  }
+  return body;
+};
+
+// Discovery documents rarely change; fetch each one once per process
+const discoveryCache = new Map();
+
+const discover = (provider, issuer) => {
+  if (!discoveryCache.has(issuer)) {
+    const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const pending = requestJson(provider, url).catch((error) => {
+      discoveryCache.delete(issuer);
+      throw error;
+    });
+    discoveryCache.set(issuer, pending);
+  }
+  return discoveryCache.get(issuer);
+};
+
+// Environment variables of a provider: SOCIAL_<NAME>_CLIENT_ID and so on
+const env = (name, key) => process.env[`SOCIAL_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`];
+
+// Names of the providers listed in SOCIAL_PROVIDERS that have a client ID
+const listProviders = () => {
+  return (process.env.SOCIAL_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name && env(name, 'CLIENT_ID'));
+};
+
+// Build the client for a configured provider, or return null
+const getProvider = (name) => {
+  name = String(name).toLowerCase();
+  if (!listProviders().includes(name)) {
+    return null;
+  }
+
+  const preset = PRESETS[name] || {};
+  const config = {
+    issuer: env(name, 'ISSUER') || preset.issuer,
+    authorizationUrl: env(name, 'AUTHORIZATION_URL') || preset.authorizationUrl,
+    tokenUrl: env(name, 'TOKEN_URL') || preset.tokenUrl,
+    userinfoUrl: env(name, 'USERINFO_URL') || preset.userinfoUrl,
+    scope: env(name, 'SCOPE') || preset.scope || 'openid email profile',
+    clientId: env(name, 'CLIENT_ID'),
+    clientSecret: env(name, 'CLIENT_SECRET')
+  };
+  const mapProfile = preset.mapProfile || mapOidcProfile;
+
+  // Explicit URLs win over those from the discovery document
+  const endpoints = async () => {
+    const metadata = config.issuer ? await discover(name, config.issuer) : {};
+    return {
+      authorizationUrl: config.authorizationUrl || metadata.authorization_endpoint,
+      tokenUrl: config.tokenUrl || metadata.token_endpoint,
+      userinfoUrl: config.userinfoUrl || metadata.userinfo_endpoint
+    };
+  };
+
+  const redirectUri = (process.env.SOCIAL_CALLBACK_URL || appUrl('/api/auth/oauth/:provider/callback'))
+    .replace(':provider', name);
+
+  return {
+    name,
+    redirectUri,
+
+    // URL that sends the user to the provider, with PKCE (S256)
+    async getAuthorizationUrl({ state, codeVerifier }) {
+      const { authorizationUrl } = await endpoints();
+      const url = new URL(authorizationUrl);
+
+      url.searchParams.set('response_type', 'code');
+      url.searchParams.set('client_id', config.clientId);
+      url.searchParams.set('redirect_uri', redirectUri);
+      url.searchParams.set('scope', config.scope);
+      url.searchParams.set('state', state);
+      url.searchParams.set('code_challenge', crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+      url.searchParams.set('code_challenge_method', 'S256');
+
+      return url.toString();
+    },
+
+    // Exchange the authorization code and read the user's profile. Tokens
+    // come straight from the provider over TLS, so the profile is taken from
+    // its userinfo endpoint rather than by validating an ID token.
+    async fetchProfile({ code, codeVerifier }) {
+      const { tokenUrl, userinfoUrl } = await endpoints();
+
+      const tokens = await requestJson(name, tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code,
+          redirect_uri: redirectUri,
+          code_verifier: codeVerifier,
+          client_id: config.clientId,
+          client_secret: config.clientSecret || ''
+        })
+      });
+
+      if (!tokens.access_token) {
+        throw providerError(name, 'no access token received');
+      }
+
+      const fetchJson = (url) => requestJson(name, url, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      const profile = await mapProfile(await fetchJson(userinfoUrl), fetchJson);
+
+      if (!profile.subject) {
+        throw providerError(name, 'no account id received');
+      }
+      return profile;
+    }
+  };
+};
+
+module.exports = { listProviders, getProvider };
@@ -0,0 +1,16 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Open a new session for the user and issue its first token pair.
+// The session id doubles as the refresh token family. OAuth grants pass
+// the client and scope the session is limited to.
+const startSession = async (user, req, { client, scope } = {}) => {
+  const session = await Session.start(user._id, req, { client, scope });
+
+  const token = session.issueAccessToken();
+  const refreshToken = await RefreshToken.issue(user._id, session.id);
+
+  return { session, token, refreshToken };
+};
+
+module.exports = startSession;
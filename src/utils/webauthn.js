@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const cbor = require('./cbor');
+const appUrl = require('./appUrl');
+
+// Web Authentication (WebAuthn Level 2) relying party checks: the
+// registration ceremony with "none" and "packed" attestation, and the
+// authentication ceremony with signature counter checks
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+const FLAG_EXTENSIONS = 0x80;
+
+// COSE algorithms we accept, in order of preference, with the COSE key
+// type each one signs with
+const ALGORITHMS = {
+  '-7': { name: 'ES256', hash: 'sha256', kty: 2 },
+  '-8': { name: 'EdDSA', hash: null, kty: 1 },
+  '-257': { name: 'RS256', hash: 'sha256', kty: 3 }
+};
+
+const webauthnError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+// Relying party settings, read at call time. The RP ID defaults to the
+// host of APP_URL and the origin to that of APP_URL.
+const relyingParty = () => ({
+  id: process.env.WEBAUTHN_RP_ID || new URL(appUrl()).hostname,
+  name: process.env.WEBAUTHN_RP_NAME || 'REST API Auth',
+  origins: (process.env.WEBAUTHN_ORIGIN || new URL(appUrl()).origin).split(',').map(origin => origin.trim())
+});
+
+const generateChallenge = () => crypto.randomBytes(32).toString('base64url');
+
+const fromBase64url = (value, field) => {
+  if (typeof value !== 'string' || !value) {
+    throw webauthnError(`Missing ${field}`);
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+// Parse clientDataJSON and check the ceremony type, challenge and origin
+const verifyClientData = (clientDataJSON, { type, challenge }) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw webauthnError('Invalid clientDataJSON');
+  }
+
+  if (!clientData || typeof clientData !== 'object') {
+    throw webauthnError('Invalid clientDataJSON');
+  }
+
+  if (clientData.type !== type) {
+    throw webauthnError(`Expected a ${type} response`);
+  }
+  if (clientData.challenge !== challenge) {
+    throw webauthnError('Challenge does not match');
+  }
+  if (!relyingParty().origins.includes(clientData.origin)) {
+    throw webauthnError(`Unexpected origin ${clientData.origin}`);
+  }
+
+  return clientData;
+};
+
+// Read the challenge a client answered, to look up what was issued
+const readChallenge = (clientDataJSON) => {
+  try {
+    return JSON.parse(fromBase64url(clientDataJSON, 'clientDataJSON').toString('utf8')).challenge || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Convert a COSE_Key (RFC 9053) into a Node.js public key
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw webauthnError('Invalid credential public key');
+  }
+
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  // Key parameters are byte strings
+  const param = (label) => {
+    const value = coseKey.get(label);
+    if (!Buffer.isBuffer(value) || value.length === 0) {
+      throw webauthnError('Invalid credential public key');
+    }
+    return value.toString('base64url');
+  };
+
+  let jwk;
+  if (kty === 2 && coseKey.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: param(-2), y: param(-3) };
+  } else if (kty === 1 && coseKey.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: param(-2) };
+  } else if (kty === 3) {
+    jwk = { kty: 'RSA', n: param(-1), e: param(-2) };
+  } else {
+    throw webauthnError('Unsupported credential public key');
+  }
+
+  if (!ALGORITHMS[alg]) {
+    throw webauthnError(`Unsupported algorithm ${alg}`);
+  }
+  if (ALGORITHMS[alg].kty !== kty) {
+    throw webauthnError(`Algorithm ${alg} does not match the credential public key`);
+  }
+
+  // Points off the curve and the like
+  try {
+    return { alg, publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+  } catch (error) {
+    throw webauthnError('Invalid credential public key');
+  }
+};
+
+const verifySignature = (alg, publicKey, data, signature) => {
+  const { hash } = ALGORITHMS[alg];
+  try {
+    return crypto.verify(hash, data, publicKey, signature);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Split authenticator data into its fields (WebAuthn section 6.1)
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw webauthnError('Authenticator data is too short');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL) {
+    if (authData.length < 55) {
+      throw webauthnError('Attested credential data is too short');
+    }
+
+    const idLength = authData.readUInt16BE(53);
+    const keyStart = 55 + idLength;
+
+    if (keyStart >= authData.length) {
+      throw webauthnError('Attested credential data is too short');
+    }
+
+    parsed.aaguid = authData.subarray(37, 53);
+    parsed.credentialId = authData.subarray(55, keyStart);
+
+    let key;
+    try {
+      key = cbor.decodeFirst(authData.subarray(keyStart));
+    } catch (error) {
+      throw webauthnError('Invalid credential public key');
+    }
+    parsed.credentialPublicKey = key.value;
+
+    if (!(parsed.flags & FLAG_EXTENSIONS) && keyStart + key.length !== authData.length) {
+      throw webauthnError('Unexpected data after the credential public key');
+    }
+  }
+
+  return parsed;
+};
+
+const checkAuthenticatorData = (authData, { requireUserVerification }) => {
+  if (!authData.rpIdHash.equals(sha256(relyingParty().id))) {
+    throw webauthnError('Credential was created for another relying party');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw webauthnError('User presence is required');
+  }
+  if (requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw webauthnError('User verification is required');
+  }
+};
+
+// Check an attestation statement (WebAuthn section 8). Packed attestation
+// with a certificate is checked against the certificate's key; trust in the
+// certificate itself would need the authenticator vendor's metadata.
+const verifyAttestation = ({ fmt, attStmt, authDataBuffer, clientDataHash, alg, publicKey }) => {
+  if (!(attStmt instanceof Map)) {
+    throw webauthnError('Invalid attestation statement');
+  }
+
+  if (fmt === 'none') {
+    if (attStmt.size !== 0) {
+      throw webauthnError('Attestation statement of format none must be empty');
+    }
+    return;
+  }
+
+  if (fmt !== 'packed') {
+    throw webauthnError(`Unsupported attestation format ${fmt}`);
+  }
+
+  const signed = Buffer.concat([authDataBuffer, clientDataHash]);
+  const sig = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+
+  if (!Buffer.isBuffer(sig) || !ALGORITHMS[attStmt.get('alg')]) {
+    throw webauthnError('Invalid packed attestation statement');
+  }
+
+  if (x5c !== undefined) {
+    if (!Array.isArray(x5c) || x5c.length === 0 || !x5c.every(Buffer.isBuffer)) {
+      throw webauthnError('Invalid packed attestation statement');
+    }
+
+    let certificate;
+    try {
+      certificate = new crypto.X509Certificate(x5c[0]);
+    } catch (error) {
+      throw webauthnError('Invalid attestation certificate');
+    }
+    if (certificate.ca) {
+      throw webauthnError('Attestation certificate must not be a CA');
+    }
+    if (!verifySignature(attStmt.get('alg'), certificate.publicKey, signed, sig)) {
+      throw webauthnError('Invalid attestation signature');
+    }
+    return;
+  }
+
+  // Self attestation: signed by the new credential itself
+  if (attStmt.get('alg') !== alg || !verifySignature(alg, publicKey, signed, sig)) {
+    throw webauthnError('Invalid self attestation signature');
+  }
+};
+
+// Registration ceremony (WebAuthn section 7.1). Returns what to store
+// about the new credential.
+const verifyRegistration = (response, { challenge, requireUserVerification = false }) => {
+  const clientDataJSON = fromBase64url(response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, { type: 'webauthn.create', challenge });
+
+  let attestation;
+  try {
+    attestation = cbor.decode(fromBase64url(response.attestationObject, 'attestationObject'));
+  } catch (error) {
+    throw webauthnError('Invalid attestationObject');
+  }
+
+  if (!(attestation instanceof Map)) {
+    throw webauthnError('Invalid attestationObject');
+  }
+
+  const authDataBuffer = attestation.get('authData');
+  if (!Buffer.isBuffer(authDataBuffer)) {
+    throw webauthnError('Invalid attestationObject');
+  }
+
+  const authData = parseAuthenticatorData(authDataBuffer);
+  checkAuthenticatorData(authData, { requireUserVerification });
+
+  if (!authData.credentialPublicKey) {
+    throw webauthnError('Attested credential data is missing');
+  }
+
+  const { alg, publicKey } = coseToPublicKey(authData.credentialPublicKey);
+
+  verifyAttestation({
+    fmt: attestation.get('fmt'),
+    attStmt: attestation.get('attStmt') || new Map(),
+    authDataBuffer,
+    clientDataHash: sha256(clientDataJSON),
+    alg,
+    publicKey
+  });
+
+  return {
+    credentialId: authData.credentialId.toString('base64url'),
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('base64url'),
+    algorithm: alg,
+    signCount: authData.signCount,
+    aaguid: authData.aaguid.toString('hex'),
+    attestationFormat: attestation.get('fmt')
+  };
+};
+
+// Authentication ceremony (WebAuthn section 7.2) for a stored credential.
+// Returns the new signature counter.
+const verifyAuthentication = (response, { challenge, credential, requireUserVerification = false }) => {
+  const clientDataJSON = fromBase64url(response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, { type: 'webauthn.get', challenge });
+
+  const authDataBuffer = fromBase64url(response.authenticatorData, 'authenticatorData');
+  const authData = parseAuthenticatorData(authDataBuffer);
+  checkAuthenticatorData(authData, { requireUserVerification });
+
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(credential.publicKey, 'base64url'),
+    format: 'der',
+    type: 'spki'
+  });
+  const signed = Buffer.concat([authDataBuffer, sha256(clientDataJSON)]);
+
+  if (!verifySignature(credential.algorithm, publicKey, signed, fromBase64url(response.signature, 'signature'))) {
+    throw webauthnError('Invalid signature');
+  }
+
+  // A counter that does not increase means the authenticator may have been
+  // cloned. Authenticators without a counter always report 0.
+  if ((authData.signCount !== 0 || credential.signCount !== 0) && authData.signCount <= credential.signCount) {
+    throw Object.assign(webauthnError('Signature counter did not increase; the authenticator may be cloned'), { cloned: true });
+  }
+
+  return authData.signCount;
+};
+
+module.exports = {
+  ALGORITHMS,
+  relyingParty,
+  generateChallenge,
+  readChallenge,
+  verifyRegistration,
+  verifyAuthentication
+};